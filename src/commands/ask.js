@@ -0,0 +1,64 @@
+import { answerQuestion } from '../services/search.js';
+import { splitMessage } from '../utils/messages.js';
+import { formatTimestamp } from '../utils/transcript.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Values of the `range` option; anything else searches every archived meeting
+const RANGES = {
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS,
+  quarter: 90 * DAY_MS,
+  year: 365 * DAY_MS,
+};
+
+// "[2] Aurora sync, <date> at 12:34 — Ana (`meetingid`)", linking to the minutes when possible
+function formatCitation({ number, meeting, offset, speaker }) {
+  const name = meeting.url ? `[${meeting.channelName}](<${meeting.url}>)` : `**${meeting.channelName}**`;
+  const where = offset === null ? 'summary' : `${formatTimestamp(offset)} — ${speaker}`;
+  return `[${number}] ${name}, <t:${Math.floor(meeting.startTime / 1000)}:d> at ${where} (\`${meeting.id}\`)`;
+}
+
+// One line of a passage, shortened to keep the fallback reply readable
+function excerpt(text, maxLength = 300) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > maxLength ? `${line.slice(0, maxLength - 1)}…` : line;
+}
+
+async function replyInChunks(interaction, content) {
+  const chunks = splitMessage(content, 1950);
+  await interaction.editReply({ content: chunks[0] });
+  for (const chunk of chunks.slice(1)) {
+    await interaction.followUp({ content: chunk, ephemeral: true });
+  }
+}
+
+export async function handleAskCommand(interaction) {
+  const guildId = interaction.guildId;
+  if (!guildId) {
+    return interaction.editReply({ content: '❌ This command can only be used in a server.' });
+  }
+
+  const question = interaction.options.getString('question', true);
+  const range = interaction.options.getString('range') || 'all';
+  const since = RANGES[range] ? Date.now() - RANGES[range] : 0;
+
+  const { answer, citations, failed } = await answerQuestion(guildId, question, { since });
+  if (failed) {
+    const lines = [`❓ **${question}**`, '', '⚠️ No answer could be generated right now. The most relevant passages are:'];
+    for (const citation of citations) {
+      lines.push('', formatCitation(citation), `> ${excerpt(citation.text)}`);
+    }
+    return replyInChunks(interaction, lines.join('\n'));
+  }
+  if (!answer) {
+    return interaction.editReply({
+      content: `🔎 Nothing in the archived meetings${RANGES[range] ? ` of the last ${range}` : ''} matches that question.`,
+    });
+  }
+
+  const lines = [`❓ **${question}**`, '', answer];
+  if (citations.length > 0) lines.push('', '📎 **Sources:**', ...citations.map(formatCitation));
+
+  return replyInChunks(interaction, lines.join('\n'));
+}
@@ -0,0 +1,198 @@
+import { getGuildConfig } from '../services/guild-config.js';
+import { parseCron } from '../utils/cron.js';
+import { beginRecording, finishRecording, getStartBlocker, getRecordingInfo } from './voice.js';
+
+// Rules live in the guild config under `autoRecord`, keyed by voice channel ID:
+// { minMembers, autoStop, schedule, maxMinutes, resultsChannelId, live }
+const START_DEBOUNCE_MS = Number(process.env.AUTO_RECORD_DEBOUNCE_SECONDS || 15) * 1000; // people often join and leave right away
+const STOP_GRACE_MS = Number(process.env.AUTO_STOP_GRACE_SECONDS || 60) * 1000; // survive a quick reconnect
+const SCHEDULE_WINDOW_MS = Number(process.env.AUTO_RECORD_SCHEDULE_WINDOW_MINUTES || 15) * 60 * 1000;
+
+const pendingStarts = new Map(); // guildId -> timeout
+const pendingStops = new Map(); // guildId -> timeout
+const armedSchedules = new Map(); // voice channel ID -> epoch ms until which a scheduled meeting may start
+const startingGuilds = new Set();
+
+function countHumans(channel) {
+  return channel.members.filter(member => !member.user.bot).size;
+}
+
+async function getRule(guildId, channelId) {
+  const guildConfig = await getGuildConfig(guildId);
+  return guildConfig.autoRecord?.[channelId] || null;
+}
+
+// The configured results channel, or the voice channel's own text chat
+async function resolveResultsChannel(voiceChannel, rule) {
+  if (rule?.resultsChannelId) {
+    const channel = await voiceChannel.client.channels.fetch(rule.resultsChannelId).catch(() => null);
+    if (channel?.isTextBased()) return channel;
+    console.warn(`⚠️ Results channel ${rule.resultsChannelId} for ${voiceChannel.name} is not reachable`);
+  }
+  return voiceChannel.isTextBased() ? voiceChannel : null;
+}
+
+async function startAutoRecording(voiceChannel, rule, reason) {
+  const guildId = voiceChannel.guild.id;
+  if (startingGuilds.has(guildId)) return;
+  startingGuilds.add(guildId);
+
+  try {
+    const blocker = await getStartBlocker(guildId);
+    if (blocker) {
+      console.log(`🤖 Not auto-recording ${voiceChannel.name}: ${blocker}`);
+      return;
+    }
+
+    const textChannel = await resolveResultsChannel(voiceChannel, rule);
+    if (!textChannel) {
+      console.warn(`⚠️ No text channel to post to for auto-recording ${voiceChannel.name}`);
+      return;
+    }
+
+    console.log(`🤖 Auto-recording ${voiceChannel.name} (${reason})`);
+    armedSchedules.delete(voiceChannel.id);
+    const notes = await beginRecording(voiceChannel, {
+      textChannel,
+      startedBy: `an automatic rule: ${reason}`,
+      live: rule.live ?? false,
+    });
+    if (notes) await textChannel.send({ content: notes.trim() }).catch(console.error);
+
+    if (rule.maxMinutes) {
+      const { startTime } = getRecordingInfo(guildId);
+      setTimeout(() => {
+        // Only stop the recording this rule started, not a later one
+        if (getRecordingInfo(guildId)?.startTime === startTime) {
+          stopAutoRecording(voiceChannel, rule, `the ${rule.maxMinutes} minute limit was reached`);
+        }
+      }, rule.maxMinutes * 60 * 1000);
+    }
+  } catch (error) {
+    if (error.alreadyRecording) console.log(`🤖 Not auto-recording ${voiceChannel.name}: a recording started meanwhile`);
+    else console.error(`Error auto-recording ${voiceChannel.name}:`, error);
+  } finally {
+    startingGuilds.delete(guildId);
+  }
+}
+
+async function stopAutoRecording(voiceChannel, rule, reason) {
+  const guildId = voiceChannel.guild.id;
+  const recording = getRecordingInfo(guildId);
+  if (!recording) return;
+
+  // The notice goes where the recording was announced; the results follow the guild's delivery settings
+  const textChannel = await voiceChannel.client.channels.fetch(recording.textChannelId).catch(() => null);
+
+  console.log(`🤖 Auto-stopping recording of ${voiceChannel.name} (${reason})`);
+  try {
+    const { duration, hasAudio, resultsChannelId } = await finishRecording(guildId);
+    await textChannel?.send({
+      content: `⏹️ Stopped recording **${voiceChannel.name}** automatically (${reason}). Duration: ${duration}s\n` +
+        (hasAudio
+          ? `📁 Processing recordings... the results will be posted in <#${resultsChannelId}>.`
+          : '📭 No audio was captured during this recording session.'),
+    }).catch(console.error);
+  } catch (error) {
+    if (error.alreadyStopping) {
+      console.log(`🤖 Recording of ${voiceChannel.name} is already being stopped`);
+      return;
+    }
+    console.error(`Error auto-stopping recording of ${voiceChannel.name}:`, error);
+  }
+}
+
+// Re-evaluate a voice channel after someone joined or left it
+async function checkChannel(channel) {
+  const guildId = channel.guild.id;
+  const rule = await getRule(guildId, channel.id);
+  const recording = getRecordingInfo(guildId);
+  const humans = countHumans(channel);
+
+  if (recording?.voiceChannelId === channel.id) {
+    clearTimeout(pendingStarts.get(guildId));
+    pendingStarts.delete(guildId);
+    if (!rule?.autoStop) return;
+
+    if (humans === 0 && !pendingStops.has(guildId)) {
+      pendingStops.set(guildId, setTimeout(() => {
+        pendingStops.delete(guildId);
+        if (countHumans(channel) === 0) stopAutoRecording(channel, rule, 'everyone left the channel');
+      }, STOP_GRACE_MS));
+    } else if (humans > 0) {
+      clearTimeout(pendingStops.get(guildId));
+      pendingStops.delete(guildId);
+    }
+    return;
+  }
+
+  if (recording || !rule || pendingStarts.has(guildId)) return;
+
+  const armedUntil = armedSchedules.get(channel.id);
+  if (armedUntil && armedUntil < Date.now()) armedSchedules.delete(channel.id);
+
+  const reason = armedSchedules.has(channel.id) && humans > 0
+    ? 'scheduled meeting'
+    : rule.minMembers && humans >= rule.minMembers ? `${humans} members present` : null;
+  if (!reason) return;
+
+  pendingStarts.set(guildId, setTimeout(() => {
+    pendingStarts.delete(guildId);
+    // Only start if the channel is still busy enough
+    const still = countHumans(channel);
+    if (reason === 'scheduled meeting' ? still > 0 : still >= rule.minMembers) {
+      startAutoRecording(channel, rule, reason);
+    }
+  }, START_DEBOUNCE_MS));
+}
+
+// Start scheduled meetings; if nobody is there yet, wait for the first person for a while
+async function runSchedules(client) {
+  const now = new Date();
+  for (const guild of client.guilds.cache.values()) {
+    const { autoRecord = {} } = await getGuildConfig(guild.id);
+    for (const [channelId, rule] of Object.entries(autoRecord)) {
+      if (!rule.schedule) continue;
+      let schedule;
+      try {
+        schedule = parseCron(rule.schedule);
+      } catch (error) {
+        console.warn(`⚠️ Invalid schedule for channel ${channelId}: ${error.message}`);
+        continue;
+      }
+      if (!schedule.matches(now)) continue;
+
+      const channel = await client.channels.fetch(channelId).catch(() => null);
+      if (!channel?.isVoiceBased()) continue;
+
+      console.log(`⏰ Scheduled recording for ${channel.name}`);
+      armedSchedules.set(channelId, Date.now() + SCHEDULE_WINDOW_MS);
+      if (countHumans(channel) > 0) {
+        await startAutoRecording(channel, rule, 'scheduled meeting');
+      }
+    }
+  }
+}
+
+/**
+ * Start and stop recordings on their own, following each guild's auto-record rules
+ * (see /minutes-config auto-record)
+ * @param {import('discord.js').Client} client - Logged-in client
+ */
+export function setupAutoRecording(client) {
+  client.on('voiceStateUpdate', (oldState, newState) => {
+    if (oldState.channelId === newState.channelId) return; // mute, deafen, stream...
+    for (const channel of [oldState.channel, newState.channel]) {
+      if (channel) {
+        checkChannel(channel).catch((error) => console.error('Error checking auto-record rules:', error));
+      }
+    }
+  });
+
+  // Check schedules at the start of every minute
+  const tick = () => runSchedules(client).catch((error) => console.error('Error running recording schedules:', error));
+  setTimeout(() => {
+    tick();
+    setInterval(tick, 60 * 1000);
+  }, 60 * 1000 - (Date.now() % (60 * 1000)));
+}
@@ -0,0 +1,335 @@
+import { getGuildConfig, updateGuildConfig } from '../services/guild-config.js';
+import { resolveTranscriptionProvider } from '../services/transcription.js';
+import { getSummaryTemplate, DEFAULT_TEMPLATE } from '../services/templates.js';
+import { getConsentPolicy, describeConsentPolicy } from '../services/consent.js';
+import { WEBHOOK_FORMATS, createWebhook } from '../services/webhooks.js';
+import { parseAliases, MAX_GLOSSARY_TERMS } from '../services/glossary.js';
+import { parseCron } from '../utils/cron.js';
+import { splitMessage } from '../utils/messages.js';
+
+export async function handleMinutesConfigCommand(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+  const guildId = interaction.guildId;
+
+  if (!guildId) {
+    return interaction.editReply({ content: '❌ This command can only be used in a server.' });
+  }
+
+  switch (interaction.options.getSubcommandGroup(false)) {
+    case 'webhook':
+      return configureWebhooks(interaction, guildId, subcommand);
+    case 'glossary':
+      return configureGlossary(interaction, guildId, subcommand);
+  }
+
+  switch (subcommand) {
+    case 'show':
+      return showConfig(interaction, guildId);
+    case 'transcription':
+      return configureTranscription(interaction, guildId);
+    case 'prompt':
+      return configurePrompt(interaction, guildId);
+    case 'consent':
+      return configureConsent(interaction, guildId);
+    case 'auto-record':
+      return configureAutoRecord(interaction, guildId);
+    case 'delivery':
+      return configureDelivery(interaction, guildId);
+    default:
+      return interaction.editReply({ content: 'Unknown subcommand!' });
+  }
+}
+
+// Long listings (schedules, webhooks, glossary) can exceed Discord's 2000 character limit
+async function replyInChunks(interaction, text) {
+  const chunks = splitMessage(text, 1950);
+  await interaction.editReply({ content: chunks[0] });
+  for (const chunk of chunks.slice(1)) {
+    await interaction.followUp({ content: chunk, ephemeral: true });
+  }
+}
+
+async function showConfig(interaction, guildId) {
+  const guildConfig = await getGuildConfig(guildId);
+  const transcriptionProvider = await resolveTranscriptionProvider(guildId);
+
+  const lines = [
+    '⚙️ **Magic Minutes settings for this server:**',
+    `🎯 Transcription provider: \`${transcriptionProvider.name}\`${guildConfig.transcriptionProvider ? '' : ' (default)'}`,
+    ...describePrompt(guildConfig.summary),
+    ...describeConsentPolicy(getConsentPolicy(guildConfig)),
+    ...describeAutoRecord(guildConfig.autoRecord),
+    ...describeDelivery(guildConfig.delivery),
+    ...describeWebhooks(guildConfig.webhooks),
+    describeGlossarySize(guildConfig.glossary),
+  ];
+
+  return replyInChunks(interaction, lines.join('\n'));
+}
+
+// Save settings, telling the member when they could not be written.
+// Returns the updated settings, or null once the failure has been reported.
+async function saveSettings(interaction, guildId, changes) {
+  try {
+    return await updateGuildConfig(guildId, changes);
+  } catch {
+    await interaction.editReply({ content: '❌ The settings could not be saved, so nothing was changed. Please try again in a moment.' });
+    return null;
+  }
+}
+
+async function configureTranscription(interaction, guildId) {
+  const provider = interaction.options.getString('provider', true);
+
+  // "default" clears the override so TRANSCRIPTION_PROVIDER applies again
+  if (!(await saveSettings(interaction, guildId, { transcriptionProvider: provider === 'default' ? null : provider }))) return;
+  const resolved = await resolveTranscriptionProvider(guildId);
+
+  return interaction.editReply({
+    content: `✅ Meetings in this server will be transcribed with \`${resolved.name}\`.`,
+  });
+}
+
+async function configurePrompt(interaction, guildId) {
+  const guildConfig = await getGuildConfig(guildId);
+
+  // Options that are left out keep their current value; reset starts from scratch
+  const summary = interaction.options.getBoolean('reset') ? {} : { ...(guildConfig.summary || {}) };
+  const changes = {
+    teamContext: interaction.options.getString('context'),
+    projectGlossary: interaction.options.getString('glossary'),
+    language: interaction.options.getString('language'),
+    template: interaction.options.getString('template'),
+  };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value !== null) summary[key] = value.trim();
+  }
+
+  const updated = await saveSettings(interaction, guildId, { summary });
+  if (!updated) return;
+
+  return interaction.editReply({
+    content: ['✅ Summary prompt updated:', ...describePrompt(updated.summary)].join('\n'),
+  });
+}
+
+async function configureConsent(interaction, guildId) {
+  const guildConfig = await getGuildConfig(guildId);
+
+  // Options that are left out keep their current value; clear_roles drops both role rules first
+  const consent = { ...(guildConfig.consent || {}) };
+  if (interaction.options.getBoolean('clear_roles')) {
+    delete consent.recordRoleId;
+    delete consent.excludeRoleId;
+  }
+  const mode = interaction.options.getString('mode');
+  const recordRole = interaction.options.getRole('record_role');
+  const excludeRole = interaction.options.getRole('exclude_role');
+  if (mode) consent.mode = mode;
+  if (recordRole) consent.recordRoleId = recordRole.id;
+  if (excludeRole) consent.excludeRoleId = excludeRole.id;
+
+  const updated = await saveSettings(interaction, guildId, { consent });
+  if (!updated) return;
+
+  return interaction.editReply({
+    content: [
+      '✅ Recording consent policy updated (applies from the next recording):',
+      ...describeConsentPolicy(getConsentPolicy(updated)),
+    ].join('\n'),
+  });
+}
+
+async function configureAutoRecord(interaction, guildId) {
+  const guildConfig = await getGuildConfig(guildId);
+  const channel = interaction.options.getChannel('channel', true);
+  const autoRecord = { ...(guildConfig.autoRecord || {}) };
+
+  if (interaction.options.getBoolean('remove')) {
+    delete autoRecord[channel.id];
+    if (!(await saveSettings(interaction, guildId, { autoRecord: Object.keys(autoRecord).length > 0 ? autoRecord : null }))) return;
+    return interaction.editReply({ content: `🗑️ <#${channel.id}> is no longer recorded automatically.` });
+  }
+
+  // Options that are left out keep their current value; 0 and "off" turn a trigger off
+  const rule = { ...(autoRecord[channel.id] || {}) };
+  // A blank schedule counts as left out rather than being stored as ""
+  const schedule = interaction.options.getString('schedule')?.trim() || null;
+  if (schedule && schedule.toLowerCase() !== 'off') {
+    try {
+      parseCron(schedule);
+    } catch (error) {
+      return interaction.editReply({ content: `❌ Invalid schedule: ${error.message}` });
+    }
+  }
+
+  const changes = {
+    minMembers: interaction.options.getInteger('min_members'),
+    autoStop: interaction.options.getBoolean('auto_stop'),
+    schedule,
+    maxMinutes: interaction.options.getInteger('max_minutes'),
+    resultsChannelId: interaction.options.getChannel('results_channel')?.id ?? null,
+    live: interaction.options.getBoolean('live'),
+  };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) continue;
+    if (value === 0 || (key === 'schedule' && value.toLowerCase() === 'off')) delete rule[key];
+    else rule[key] = value;
+  }
+
+  if (!rule.minMembers && !rule.schedule) {
+    return interaction.editReply({
+      content: '❌ A rule needs something to start it: set `min_members` or `schedule`.',
+    });
+  }
+
+  autoRecord[channel.id] = rule;
+  const updated = await saveSettings(interaction, guildId, { autoRecord });
+  if (!updated) return;
+
+  return interaction.editReply({
+    content: ['✅ Auto-record rule saved:', ...describeAutoRecord({ [channel.id]: updated.autoRecord[channel.id] })].join('\n'),
+  });
+}
+
+async function configureDelivery(interaction, guildId) {
+  const guildConfig = await getGuildConfig(guildId);
+
+  // Options that are left out keep their current value; reset starts from scratch
+  const delivery = interaction.options.getBoolean('reset') ? {} : { ...(guildConfig.delivery || {}) };
+  const changes = {
+    channelId: interaction.options.getChannel('channel')?.id ?? null,
+    thread: interaction.options.getBoolean('thread'),
+    dmParticipants: interaction.options.getBoolean('dm_participants'),
+  };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value !== null) delivery[key] = value;
+  }
+
+  const updated = await saveSettings(interaction, guildId, { delivery: Object.keys(delivery).length > 0 ? delivery : null });
+  if (!updated) return;
+
+  return interaction.editReply({
+    content: ['✅ Result delivery updated:', ...describeDelivery(updated.delivery)].join('\n'),
+  });
+}
+
+async function configureWebhooks(interaction, guildId, action) {
+  const { webhooks = [] } = await getGuildConfig(guildId);
+
+  if (action === 'list') {
+    return replyInChunks(interaction, describeWebhooks(webhooks).join('\n'));
+  }
+
+  if (action === 'remove') {
+    const id = interaction.options.getString('id', true).trim();
+    const remaining = webhooks.filter(webhook => webhook.id !== id);
+    if (remaining.length === webhooks.length) {
+      return interaction.editReply({ content: `❌ No webhook with ID \`${id}\`.` });
+    }
+    if (!(await saveSettings(interaction, guildId, { webhooks: remaining.length > 0 ? remaining : null }))) return;
+    return interaction.editReply({ content: `🗑️ Webhook \`${id}\` removed.` });
+  }
+
+  let webhook;
+  try {
+    webhook = await createWebhook(interaction.options.getString('url', true).trim(), interaction.options.getString('format') || 'json');
+  } catch (error) {
+    return interaction.editReply({ content: `❌ ${error.message}` });
+  }
+  if (!(await saveSettings(interaction, guildId, { webhooks: [...webhooks, webhook] }))) return;
+
+  const lines = [`✅ Webhook \`${webhook.id}\` added: finished meetings will be posted to ${new URL(webhook.url).host} as \`${webhook.format}\`.`];
+  if (webhook.format === 'json') {
+    lines.push(
+      `🔑 Signing secret: \`${webhook.secret}\``,
+      'Each request carries `X-Minutes-Timestamp` and `X-Minutes-Signature: sha256=<HMAC-SHA256 of "<timestamp>.<body>">`.',
+    );
+  }
+  return interaction.editReply({ content: lines.join('\n') });
+}
+
+async function configureGlossary(interaction, guildId, action) {
+  const { glossary = [] } = await getGuildConfig(guildId);
+
+  if (action === 'list') {
+    return replyInChunks(interaction, describeGlossary(glossary));
+  }
+
+  const term = interaction.options.getString('term', true).trim();
+  const existing = glossary.find(entry => entry.term.toLowerCase() === term.toLowerCase());
+
+  if (action === 'remove') {
+    if (!existing) {
+      return interaction.editReply({ content: `❌ **${term}** is not in the glossary.` });
+    }
+    const remaining = glossary.filter(entry => entry !== existing);
+    if (!(await saveSettings(interaction, guildId, { glossary: remaining.length > 0 ? remaining : null }))) return;
+    return interaction.editReply({ content: `🗑️ Removed **${existing.term}** from the glossary.` });
+  }
+
+  if (!existing && glossary.length >= MAX_GLOSSARY_TERMS) {
+    return interaction.editReply({ content: `❌ The glossary is full (${MAX_GLOSSARY_TERMS} terms). Remove a term first.` });
+  }
+  // Adding a term again replaces its spelling and adds the new misspellings to the ones it had
+  const entry = { term, aliases: parseAliases([...(existing?.aliases || []), interaction.options.getString('aliases') || ''].join(',')) };
+  const updatedGlossary = existing ? glossary.map(e => (e === existing ? entry : e)) : [...glossary, entry];
+  if (!(await saveSettings(interaction, guildId, { glossary: updatedGlossary }))) return;
+
+  return interaction.editReply({
+    content: `✅ **${term}** ${existing ? 'updated' : 'added to the glossary'}.` +
+      (entry.aliases.length > 0 ? ` Transcripts will spell ${entry.aliases.map(alias => `"${alias}"`).join(', ')} as **${term}**.` : ''),
+  });
+}
+
+function describeGlossary(glossary = []) {
+  if (glossary.length === 0) {
+    return '📖 The glossary is empty. Add names and terms with `/minutes-config glossary add`. Participants\' names are always included.';
+  }
+  const lines = glossary.map(({ term, aliases }) => `• **${term}**${aliases.length > 0 ? ` ← ${aliases.join(', ')}` : ''}`);
+  return [`📖 **Glossary** (${glossary.length} term(s); participants' names are always included):`, ...lines].join('\n');
+}
+
+function describeGlossarySize(glossary = []) {
+  return `📖 Glossary: ${glossary.length > 0 ? `${glossary.length} term(s)` : '_empty_'} (see \`/minutes-config glossary list\`)`;
+}
+
+// Only the host is shown: Slack-style URLs carry their credentials in the path
+function describeWebhooks(webhooks = []) {
+  if (webhooks.length === 0) return ['🔗 Webhooks: _none_'];
+  return webhooks.map(({ id, url, format }) =>
+    `🔗 Webhook \`${id}\`: ${WEBHOOK_FORMATS[format] ? format : `${format} (unknown)`} → ${new URL(url).host}`);
+}
+
+function describeDelivery(delivery = {}) {
+  const where = delivery.channelId ? `<#${delivery.channelId}>` : 'the channel the recording was started from';
+  return [
+    `📬 Results: ${where}${delivery.thread ? ', in a thread per meeting' : ''}`,
+    `✉️ DM the summary to participants: ${delivery.dmParticipants ? 'yes' : 'no'}`,
+  ];
+}
+
+function describeAutoRecord(autoRecord = {}) {
+  const rules = Object.entries(autoRecord);
+  if (rules.length === 0) return ['🤖 Auto-record: _off_'];
+
+  return rules.map(([channelId, rule]) => {
+    const parts = [];
+    if (rule.minMembers) parts.push(`starts with ${rule.minMembers}+ members`);
+    if (rule.schedule) parts.push(`scheduled \`${rule.schedule}\``);
+    if (rule.autoStop) parts.push('stops when empty');
+    if (rule.maxMinutes) parts.push(`stops after ${rule.maxMinutes} min`);
+    if (rule.live) parts.push('live transcript');
+    parts.push(`results in ${rule.resultsChannelId ? `<#${rule.resultsChannelId}>` : 'the voice channel chat'}`);
+    return `🤖 Auto-record <#${channelId}>: ${parts.join(', ')}`;
+  });
+}
+
+function describePrompt(summary = {}) {
+  return [
+    `📋 Template: ${getSummaryTemplate(summary.template).label}${summary.template ? '' : ` (default: ${DEFAULT_TEMPLATE})`}`,
+    `👥 Team context: ${summary.teamContext || '_not set_'}`,
+    `📖 Project glossary: ${summary.projectGlossary || '_not set_'}`,
+    `🌐 Summary language: ${summary.language || '_same as the conversation_'}`,
+  ];
+}
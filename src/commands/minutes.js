@@ -0,0 +1,185 @@
+import { AttachmentBuilder, PermissionFlagsBits } from 'discord.js';
+import { stat } from 'fs/promises';
+import path from 'path';
+import { listMeetings, getMeeting, deleteMeeting } from '../services/archive.js';
+import { getShareUrl, DISCORD_UPLOAD_LIMIT_BYTES } from '../services/audio.js';
+import { splitMessage, formatDuration } from '../utils/messages.js';
+import { renderSummaryEmbeds, groupEmbedsForMessages } from '../utils/summary-format.js';
+import { aggregateAnalytics } from '../utils/analytics.js';
+import { retryTranscriptionJob, removeTranscriptionJob } from '../services/transcription-jobs.js';
+import { renderAnalyticsEmbed, renderTrendsEmbed } from '../utils/analytics-format.js';
+
+const DEFAULT_LIST_LIMIT = 10;
+
+export async function handleMinutesCommand(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+  const guildId = interaction.guildId;
+
+  if (!guildId) {
+    return interaction.editReply({ content: '❌ This command can only be used in a server.' });
+  }
+
+  switch (subcommand) {
+    case 'list':
+      return listMinutes(interaction, guildId);
+    case 'show':
+      return showMinutes(interaction, guildId);
+    case 'trends':
+      return showTrends(interaction, guildId);
+    case 'retry':
+      return retryMinutes(interaction, guildId);
+    case 'delete':
+      return deleteMinutes(interaction, guildId);
+    default:
+      return interaction.editReply({ content: 'Unknown subcommand!' });
+  }
+}
+
+async function listMinutes(interaction, guildId) {
+  const limit = interaction.options.getInteger('limit') || DEFAULT_LIST_LIMIT;
+  const meetings = await listMeetings(guildId, { limit });
+
+  if (meetings.length === 0) {
+    return interaction.editReply({ content: '📭 No meetings have been archived in this server yet.' });
+  }
+
+  const lines = meetings.map((meeting) => {
+    const started = `<t:${Math.floor(meeting.startTime / 1000)}:f>`;
+    const who = meeting.participants.map(p => p.name).join(', ') || 'nobody';
+    const status = meeting.processing ? ' — ⏳ still being transcribed' : '';
+    return `\`${meeting.id}\` — ${started} in **${meeting.channelName}** (${formatDuration(meeting.duration)}) — ${who}${status}`;
+  });
+
+  const chunks = splitMessage(`🗄️ **Archived meetings:**\n${lines.join('\n')}`, 1950);
+  await interaction.editReply({ content: chunks[0] });
+  for (const chunk of chunks.slice(1)) {
+    await interaction.followUp({ content: chunk, ephemeral: true });
+  }
+}
+
+async function showMinutes(interaction, guildId) {
+  const meetingId = interaction.options.getString('id', true);
+  const meeting = await getMeeting(guildId, meetingId);
+
+  if (!meeting) {
+    return interaction.editReply({ content: `❌ No meeting with ID \`${meetingId}\` in this server.` });
+  }
+
+  await interaction.editReply({ content: `📂 Re-posting meeting \`${meeting.id}\`...` });
+
+  const header = [
+    `🗄️ **Meeting \`${meeting.id}\`** — <t:${Math.floor(meeting.startTime / 1000)}:f> in **${meeting.channelName}**`,
+    `⏱️ Duration: ${formatDuration(meeting.duration)}`,
+    `👥 Participants: ${meeting.participants.map(p => p.name).join(', ') || 'none'}`,
+  ];
+  if (meeting.processing) header.push('⏳ Still being transcribed: the transcript and summary will be posted when it is done.');
+
+  const files = [];
+  if (meeting.transcript) {
+    files.push(new AttachmentBuilder(Buffer.from(meeting.transcript, 'utf8'), { name: `transcript_${meeting.id}.txt` }));
+  }
+
+  const audioLine = await describeArchivedAudio(meeting, files);
+  if (audioLine) header.push(audioLine);
+
+  await interaction.followUp({ content: header.join('\n'), files });
+
+  // Meetings archived before speaker analytics existed have none
+  const analyticsEmbeds = meeting.analytics ? [renderAnalyticsEmbed(meeting.analytics)] : [];
+  if (meeting.summary) {
+    for (const embeds of groupEmbedsForMessages([...renderSummaryEmbeds(meeting.summary), ...analyticsEmbeds])) {
+      await interaction.followUp({ embeds });
+    }
+  } else {
+    await interaction.followUp({ content: '⚠️ This meeting has no summary.', embeds: analyticsEmbeds });
+  }
+}
+
+async function showTrends(interaction, guildId) {
+  const limit = interaction.options.getInteger('limit') || DEFAULT_LIST_LIMIT;
+  const member = interaction.options.getUser('member');
+  const meetings = (await listMeetings(guildId, { limit })).filter(meeting => meeting.analytics);
+
+  if (meetings.length === 0) {
+    return interaction.editReply({ content: '📭 None of the recent meetings have speaker analytics yet.' });
+  }
+
+  if (!member) {
+    return interaction.editReply({ embeds: [renderTrendsEmbed(aggregateAnalytics(meetings))] });
+  }
+
+  // One line per meeting the member spoke in, oldest first so the trend reads left to right
+  const lines = meetings.reverse().flatMap((meeting) => {
+    const speaker = meeting.analytics.speakers.find(s => s.id === member.id);
+    if (!speaker) return [];
+    return [`\`${meeting.id}\` <t:${Math.floor(meeting.startTime / 1000)}:d> — ${formatDuration(speaker.talkSeconds)} ` +
+      `(${Math.round(speaker.share * 100)}%), ${speaker.turns} turns, ${speaker.interruptions} interruptions`];
+  });
+  if (lines.length === 0) {
+    return interaction.editReply({ content: `📭 <@${member.id}> did not speak in the last ${meetings.length} meeting(s).` });
+  }
+
+  const chunks = splitMessage(`📈 **<@${member.id}> over ${lines.length} meeting(s):**\n${lines.join('\n')}`, 1950);
+  await interaction.editReply({ content: chunks[0], allowedMentions: { parse: [] } });
+  for (const chunk of chunks.slice(1)) {
+    await interaction.followUp({ content: chunk, ephemeral: true, allowedMentions: { parse: [] } });
+  }
+}
+
+// Attach the archived mixdown when it still fits, otherwise describe where it lives
+async function describeArchivedAudio(meeting, files) {
+  const mixdown = meeting.audio?.mixdown;
+  if (!mixdown) return null;
+
+  const filePath = path.resolve(mixdown);
+  const info = await stat(filePath).catch(() => null);
+  if (!info) return '🎧 Recording: no longer available';
+
+  if (info.size <= DISCORD_UPLOAD_LIMIT_BYTES) {
+    files.push(filePath);
+    return '🎧 Recording: attached';
+  }
+
+  const url = getShareUrl(meeting.guildId, meeting.audio.shareToken, path.basename(filePath));
+  return url ? `🎧 Recording: ${url}` : `🎧 Recording: stored on the bot host as \`${mixdown}\``;
+}
+
+async function retryMinutes(interaction, guildId) {
+  const meetingId = interaction.options.getString('id', true);
+  const meeting = await getMeeting(guildId, meetingId);
+  if (!meeting) {
+    return interaction.editReply({ content: `❌ No meeting with ID \`${meetingId}\` in this server.` });
+  }
+  if (meeting.processing) {
+    return interaction.editReply({ content: `⏳ Meeting \`${meetingId}\` is still being transcribed; its minutes will be posted when it is done.` });
+  }
+
+  await interaction.editReply({ content: `🔁 Transcribing the missing parts of meeting \`${meetingId}\` again...` });
+  const result = await retryTranscriptionJob(guildId, meetingId);
+
+  if (!result) {
+    return interaction.editReply({ content: `✅ Meeting \`${meetingId}\` has nothing left to transcribe (or is being retried already).` });
+  }
+  const { recovered, remaining } = result;
+  return interaction.editReply({
+    content: remaining === 0
+      ? `✅ Transcribed the ${recovered} missing part(s) of meeting \`${meetingId}\`. Use \`/minutes show id:${meetingId}\` to see the new minutes.`
+      : `⚠️ Recovered ${recovered} part(s) of meeting \`${meetingId}\`; ${remaining} still failed. Try again later.`,
+  });
+}
+
+async function deleteMinutes(interaction, guildId) {
+  if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+    return interaction.editReply({ content: '❌ You need the Manage Server permission to delete meetings.' });
+  }
+
+  const meetingId = interaction.options.getString('id', true);
+  const deleted = await deleteMeeting(guildId, meetingId);
+  if (deleted) await removeTranscriptionJob(guildId, meetingId);
+
+  return interaction.editReply({
+    content: deleted
+      ? `🗑️ Deleted meeting \`${meetingId}\` and its recording.`
+      : `❌ No meeting with ID \`${meetingId}\` in this server.`,
+  });
+}
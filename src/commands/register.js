@@ -6,7 +6,8 @@ config();
 const commands = [
   {
     name: 'record',
-    description: 'Start or stop recording voice chat',
+    dm_permission: false, // every command works on a server's voice channels or data
+    description: 'Start, stop, pause or check on the voice chat recording',
     options: [
       {
         name: 'action',
@@ -22,25 +23,531 @@ const commands = [
             name: 'stop',
             value: 'stop',
           },
+          {
+            name: 'status',
+            value: 'status',
+          },
+          {
+            name: 'pause',
+            value: 'pause',
+          },
+          {
+            name: 'resume',
+            value: 'resume',
+          },
+        ],
+      },
+      {
+        name: 'live',
+        type: 5, // BOOLEAN type
+        description: 'On start: post a rolling transcript to a thread while recording',
+        required: false,
+      },
+      {
+        name: 'stems',
+        type: 5, // BOOLEAN type
+        description: 'On stop: also share each participant\'s separate track',
+        required: false,
+      },
+      {
+        name: 'format',
+        type: 3, // STRING type
+        description: 'On stop: transcript file format (default: Markdown)',
+        required: false,
+        choices: [
+          { name: 'Markdown', value: 'markdown' },
+          { name: 'Plain text', value: 'txt' },
+          { name: 'SRT subtitles', value: 'srt' },
+          { name: 'WebVTT subtitles', value: 'vtt' },
+          { name: 'All formats', value: 'all' },
+        ],
+      },
+    ],
+  },
+  {
+    name: 'minutes',
+    dm_permission: false, // every command works on a server's voice channels or data
+    description: 'Browse archived meetings',
+    options: [
+      {
+        name: 'list',
+        type: 1, // SUB_COMMAND type
+        description: 'List recent meetings',
+        options: [
+          {
+            name: 'limit',
+            type: 4, // INTEGER type
+            description: 'How many meetings to show (default 10)',
+            required: false,
+            min_value: 1,
+            max_value: 50,
+          },
+        ],
+      },
+      {
+        name: 'show',
+        type: 1, // SUB_COMMAND type
+        description: 'Re-post the transcript, summary and recording of a meeting',
+        options: [
+          {
+            name: 'id',
+            type: 3, // STRING type
+            description: 'Meeting ID (see /minutes list)',
+            required: true,
+          },
+        ],
+      },
+      {
+        name: 'trends',
+        type: 1, // SUB_COMMAND type
+        description: 'Speaker analytics across recent meetings',
+        options: [
+          {
+            name: 'limit',
+            type: 4, // INTEGER type
+            description: 'How many recent meetings to include (default 10)',
+            required: false,
+            min_value: 1,
+            max_value: 100,
+          },
+          {
+            name: 'member',
+            type: 6, // USER type
+            description: 'Show one member meeting by meeting',
+            required: false,
+          },
+        ],
+      },
+      {
+        name: 'retry',
+        type: 1, // SUB_COMMAND type
+        description: 'Transcribe the parts of a meeting that failed again',
+        options: [
+          {
+            name: 'id',
+            type: 3, // STRING type
+            description: 'Meeting ID (see /minutes list)',
+            required: true,
+          },
+        ],
+      },
+      {
+        name: 'delete',
+        type: 1, // SUB_COMMAND type
+        description: 'Delete a meeting and its recording',
+        options: [
+          {
+            name: 'id',
+            type: 3, // STRING type
+            description: 'Meeting ID (see /minutes list)',
+            required: true,
+          },
+        ],
+      },
+    ],
+  },
+  {
+    name: 'ask',
+    dm_permission: false, // every command works on a server's voice channels or data
+    description: 'Ask a question about past meetings',
+    options: [
+      {
+        name: 'question',
+        type: 3, // STRING type
+        description: 'What you want to know, e.g. "When did we decide to drop the beta?"',
+        required: true,
+        max_length: 500,
+      },
+      {
+        name: 'range',
+        type: 3, // STRING type
+        description: 'Which meetings to search (default: all)',
+        required: false,
+        choices: [
+          { name: 'Last 7 days', value: 'week' },
+          { name: 'Last 30 days', value: 'month' },
+          { name: 'Last 90 days', value: 'quarter' },
+          { name: 'Last year', value: 'year' },
+          { name: 'All meetings', value: 'all' },
+        ],
+      },
+    ],
+  },
+  {
+    name: 'minutes-config',
+    dm_permission: false, // every command works on a server's voice channels or data
+    description: 'Configure Magic Minutes for this server',
+    default_member_permissions: '32', // MANAGE_GUILD
+    options: [
+      {
+        name: 'show',
+        type: 1, // SUB_COMMAND type
+        description: 'Show the current settings',
+      },
+      {
+        name: 'transcription',
+        type: 1, // SUB_COMMAND type
+        description: 'Choose the transcription backend',
+        options: [
+          {
+            name: 'provider',
+            type: 3, // STRING type
+            description: 'Transcription backend',
+            required: true,
+            choices: [
+              { name: 'Google Gemini', value: 'gemini' },
+              { name: 'OpenAI-compatible Whisper API', value: 'openai' },
+              { name: 'Local whisper.cpp (offline)', value: 'whisper-cpp' },
+              { name: 'Server default (TRANSCRIPTION_PROVIDER)', value: 'default' },
+            ],
+          },
+        ],
+      },
+      {
+        name: 'prompt',
+        type: 1, // SUB_COMMAND type
+        description: 'Describe your team and choose how summaries are written',
+        options: [
+          {
+            name: 'context',
+            type: 3, // STRING type
+            description: 'Who the team is, e.g. "Flipas, a game studio working on Sombra and Aurora"',
+            required: false,
+            max_length: 1000,
+          },
+          {
+            name: 'glossary',
+            type: 3, // STRING type
+            description: 'Project names and terms, e.g. "Sombra: our engine; Aurora: the mobile app"',
+            required: false,
+            max_length: 1500,
+          },
+          {
+            name: 'language',
+            type: 3, // STRING type
+            description: 'Language to write summaries in, e.g. "Spanish"',
+            required: false,
+            max_length: 50,
+          },
+          {
+            name: 'template',
+            type: 3, // STRING type
+            description: 'Kind of meeting',
+            required: false,
+            choices: [
+              { name: 'General meeting', value: 'general' },
+              { name: 'Daily standup', value: 'standup' },
+              { name: 'Retrospective', value: 'retro' },
+              { name: 'Planning', value: 'planning' },
+              { name: 'Interview', value: 'interview' },
+            ],
+          },
+          {
+            name: 'reset',
+            type: 5, // BOOLEAN type
+            description: 'Clear the current prompt settings first',
+            required: false,
+          },
+        ],
+      },
+      {
+        name: 'auto-record',
+        type: 1, // SUB_COMMAND type
+        description: 'Record a voice channel automatically',
+        options: [
+          {
+            name: 'channel',
+            type: 7, // CHANNEL type
+            description: 'Voice channel the rule applies to',
+            required: true,
+            channel_types: [2, 13], // GUILD_VOICE, GUILD_STAGE_VOICE
+          },
+          {
+            name: 'min_members',
+            type: 4, // INTEGER type
+            description: 'Start when at least this many members are in the channel (0 turns this off)',
+            required: false,
+            min_value: 0,
+            max_value: 99,
+          },
+          {
+            name: 'auto_stop',
+            type: 5, // BOOLEAN type
+            description: 'Stop when the channel empties',
+            required: false,
+          },
+          {
+            name: 'schedule',
+            type: 3, // STRING type
+            description: 'Cron schedule, e.g. "30 9 * * mon-fri" for weekday standups ("off" removes it)',
+            required: false,
+            max_length: 100,
+          },
+          {
+            name: 'max_minutes',
+            type: 4, // INTEGER type
+            description: 'Stop automatic recordings after this many minutes (0 for no limit)',
+            required: false,
+            min_value: 0,
+            max_value: 1440,
+          },
+          {
+            name: 'results_channel',
+            type: 7, // CHANNEL type
+            description: 'Where the notice and results of automatic recordings go (default: the voice channel chat)',
+            required: false,
+            channel_types: [0, 5], // GUILD_TEXT, GUILD_ANNOUNCEMENT
+          },
+          {
+            name: 'live',
+            type: 5, // BOOLEAN type
+            description: 'Post a rolling transcript to a thread during automatic recordings',
+            required: false,
+          },
+          {
+            name: 'remove',
+            type: 5, // BOOLEAN type
+            description: 'Remove the rule for this channel',
+            required: false,
+          },
+        ],
+      },
+      {
+        name: 'consent',
+        type: 1, // SUB_COMMAND type
+        description: 'Choose who may be recorded',
+        options: [
+          {
+            name: 'mode',
+            type: 3, // STRING type
+            description: 'Whether members are recorded unless they opt out, or only once they accept',
+            required: false,
+            choices: [
+              { name: 'Record everyone unless they opt out', value: 'opt-out' },
+              { name: 'Record only members who accept', value: 'opt-in' },
+            ],
+          },
+          {
+            name: 'record_role',
+            type: 8, // ROLE type
+            description: 'Only members with this role can be recorded',
+            required: false,
+          },
+          {
+            name: 'exclude_role',
+            type: 8, // ROLE type
+            description: 'Members with this role are never recorded',
+            required: false,
+          },
+          {
+            name: 'clear_roles',
+            type: 5, // BOOLEAN type
+            description: 'Remove both role rules first',
+            required: false,
+          },
+        ],
+      },
+      {
+        name: 'delivery',
+        type: 1, // SUB_COMMAND type
+        description: 'Choose where meeting results are posted',
+        options: [
+          {
+            name: 'channel',
+            type: 7, // CHANNEL type
+            description: 'Minutes channel for every meeting (default: the channel the recording was started from)',
+            required: false,
+            channel_types: [0, 5], // GUILD_TEXT, GUILD_ANNOUNCEMENT
+          },
+          {
+            name: 'thread',
+            type: 5, // BOOLEAN type
+            description: 'Open a thread per meeting for its results',
+            required: false,
+          },
+          {
+            name: 'dm_participants',
+            type: 5, // BOOLEAN type
+            description: 'Also send the summary to each participant privately',
+            required: false,
+          },
+          {
+            name: 'reset',
+            type: 5, // BOOLEAN type
+            description: 'Go back to posting in the channel the recording was started from',
+            required: false,
+          },
+        ],
+      },
+      {
+        name: 'webhook',
+        type: 2, // SUB_COMMAND_GROUP type
+        description: 'Send finished minutes to other tools',
+        options: [
+          {
+            name: 'add',
+            type: 1, // SUB_COMMAND type
+            description: 'Post every finished meeting to a URL',
+            options: [
+              {
+                name: 'url',
+                type: 3, // STRING type
+                description: 'Webhook URL',
+                required: true,
+                max_length: 500,
+              },
+              {
+                name: 'format',
+                type: 3, // STRING type
+                description: 'Payload format (default: signed JSON)',
+                required: false,
+                choices: [
+                  { name: 'JSON (signed)', value: 'json' },
+                  { name: 'Slack-compatible incoming webhook', value: 'slack' },
+                ],
+              },
+            ],
+          },
+          {
+            name: 'remove',
+            type: 1, // SUB_COMMAND type
+            description: 'Stop posting to a webhook',
+            options: [
+              {
+                name: 'id',
+                type: 3, // STRING type
+                description: 'Webhook ID (see /minutes-config webhook list)',
+                required: true,
+              },
+            ],
+          },
+          {
+            name: 'list',
+            type: 1, // SUB_COMMAND type
+            description: 'List the webhooks of this server',
+          },
+        ],
+      },
+      {
+        name: 'glossary',
+        type: 2, // SUB_COMMAND_GROUP type
+        description: 'Names and terms transcripts should spell correctly',
+        options: [
+          {
+            name: 'add',
+            type: 1, // SUB_COMMAND type
+            description: 'Add a term, or more misspellings of one',
+            options: [
+              {
+                name: 'term',
+                type: 3, // STRING type
+                description: 'The correct spelling, e.g. Sombra',
+                required: true,
+                max_length: 100,
+              },
+              {
+                name: 'aliases',
+                type: 3, // STRING type
+                description: 'Comma-separated misspellings to replace with the term, e.g. "sombre, som bra"',
+                required: false,
+                max_length: 300,
+              },
+            ],
+          },
+          {
+            name: 'remove',
+            type: 1, // SUB_COMMAND type
+            description: 'Remove a term',
+            options: [
+              {
+                name: 'term',
+                type: 3, // STRING type
+                description: 'The term (see /minutes-config glossary list)',
+                required: true,
+              },
+            ],
+          },
+          {
+            name: 'list',
+            type: 1, // SUB_COMMAND type
+            description: 'List the glossary of this server',
+          },
         ],
       },
     ],
   },
 ];
 
-export async function registerCommands() {
-  const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+// Where commands are registered:
+// - 'global': once for the application; works in every server the bot joins (can take a while to show up)
+// - 'guilds': separately in every server the bot is in, including ones it joins later (instant updates)
+// - 'guild': only in GUILD_ID (the original single-server setup)
+// Defaults to 'guild' when GUILD_ID is set, otherwise 'global'.
+const COMMAND_SCOPES = new Set(['global', 'guilds', 'guild']);
+
+export function getCommandScope() {
+  const scope = (process.env.COMMAND_SCOPE || '').toLowerCase();
+  if (COMMAND_SCOPES.has(scope)) return scope;
+  return process.env.GUILD_ID ? 'guild' : 'global';
+}
+
+function createRest() {
+  return new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+}
+
+function getClientId(client) {
+  return process.env.CLIENT_ID || client?.application?.id;
+}
+
+/**
+ * Register slash commands according to COMMAND_SCOPE
+ * @param {import('discord.js').Client} [client] - Logged-in client (needed for the 'guilds' scope)
+ * @returns {Promise<boolean>} - Whether every registration succeeded
+ */
+export async function registerCommands(client) {
+  const rest = createRest();
+  const clientId = getClientId(client);
+  const scope = getCommandScope();
 
   try {
-    console.log('Started refreshing application (/) commands.');
+    console.log(`Started refreshing application (/) commands (scope: ${scope}).`);
 
-    await rest.put(
-      Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID),
-      { body: commands }
-    );
+    if (scope === 'global') {
+      await rest.put(Routes.applicationCommands(clientId), { body: commands });
+      // Guild commands left over from the single-server setup would show up twice
+      if (process.env.GUILD_ID) {
+        await rest.put(Routes.applicationGuildCommands(clientId, process.env.GUILD_ID), { body: [] });
+      }
+    } else if (scope === 'guilds') {
+      const results = await Promise.all(
+        [...client.guilds.cache.keys()].map(guildId => registerGuildCommands(guildId, client))
+      );
+      if (results.includes(false)) return false;
+    } else {
+      await rest.put(Routes.applicationGuildCommands(clientId, process.env.GUILD_ID), { body: commands });
+    }
 
     console.log('Successfully reloaded application (/) commands.');
+    return true;
   } catch (error) {
     console.error('Error registering commands:', error);
+    return false;
+  }
+}
+
+/**
+ * Register slash commands in a single server
+ * @param {string} guildId - Guild ID
+ * @param {import('discord.js').Client} [client] - Logged-in client
+ * @returns {Promise<boolean>} - Whether the registration succeeded
+ */
+export async function registerGuildCommands(guildId, client) {
+  try {
+    await createRest().put(Routes.applicationGuildCommands(getClientId(client), guildId), { body: commands });
+    console.log(`✅ Registered commands in guild ${guildId}`);
+    return true;
+  } catch (error) {
+    console.error(`Error registering commands in guild ${guildId}:`, error);
+    return false;
   }
 }
@@ -9,33 +9,74 @@ import { pipeline } from 'stream';
 import { promisify } from 'util';
 import { exec } from 'child_process';
 import prism from 'prism-media';
-import { mkdir, unlink, readFile, writeFile, appendFile, stat } from 'fs/promises';
+import { AttachmentBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } from 'discord.js';
+import { mkdir, unlink, readFile, writeFile, appendFile, stat, rename } from 'fs/promises';
 import { existsSync } from 'fs';
 import path from 'path';
-import ffmpegStatic from 'ffmpeg-static';
-import { transcribeAudio } from '../services/transcription.js';
+import { startLiveTranscription, LIVE_SLICE_SECONDS } from '../services/live-transcription.js';
 import { summarizeText } from '../services/summarization.js';
+import {
+  resolvedFfmpegPath,
+  MP3_BITRATE_K,
+  mixdownTracks,
+  createShareDir,
+  getShareUrl,
+  DISCORD_UPLOAD_LIMIT_BYTES,
+  ffmpegDuration,
+} from '../services/audio.js';
+import { createCounter, createGauge } from '../services/metrics.js';
+import { saveMeeting, createMeetingId } from '../services/archive.js';
+import {
+  prepareChunks,
+  createTranscriptionJob,
+  runTranscriptionJob,
+  buildJobTimeline,
+  removeTranscriptionJob,
+} from '../services/transcription-jobs.js';
+import {
+  getConsentPolicy,
+  checkCaptureConsent,
+  describeConsentPolicy,
+  isOptedOut,
+  setOptedOut,
+  memberNames,
+  redactNamesDeep,
+} from '../services/consent.js';
+import { getGuildConfig } from '../services/guild-config.js';
+import { dispatchMeeting } from '../services/webhooks.js';
+import { openResultsChannel, getResultsChannelId, sendToParticipants } from '../services/delivery.js';
+import {
+  saveSessionManifest,
+  readSessionManifest,
+  markRecoveryOffered,
+  removeSessionManifest,
+  findUnfinishedSessions,
+} from '../services/sessions.js';
+import { renderTranscript } from '../utils/transcript.js';
+import { renderTranscriptFile, TRANSCRIPT_FORMATS } from '../utils/transcript-formats.js';
+import { renderSummaryEmbeds, groupEmbedsForMessages } from '../utils/summary-format.js';
+import { computeMeetingAnalytics } from '../utils/analytics.js';
+import { renderAnalyticsEmbed } from '../utils/analytics-format.js';
+import { createSilencePadder } from '../utils/pcm.js';
+import { formatDuration } from '../utils/messages.js';
 
 const pipelineAsync = promisify(pipeline);
 const execAsync = promisify(exec);
 
-// Resolve ffmpeg binary: prefer FFMPEG_PATH env, then system binary, else bundled static
-const resolvedFfmpegPath = (() => {
-  if (process.env.FFMPEG_PATH && existsSync(process.env.FFMPEG_PATH)) return process.env.FFMPEG_PATH;
-  // Common system path inside Debian slim image
-  const systemPath = '/usr/bin/ffmpeg';
-  if (existsSync(systemPath)) return systemPath;
-  return ffmpegStatic; // fall back to static module binary
-})();
-console.log(`🎬 Using ffmpeg binary: ${resolvedFfmpegPath}`);
-
-// Transcoding and transcription tunables (override via env)
-const MP3_BITRATE_K = Number(process.env.MP3_BITRATE_K || 96); // kbps; 96 is good for voice
-const PROACTIVE_CHUNK_MB = Number(process.env.PROACTIVE_CHUNK_MB || 12); // chunk files larger than this
-const DEFAULT_CHUNK_SECONDS = Number(process.env.CHUNK_SECONDS || 120);
+// Default for `/record start live:<...>` when the option is left out
+const LIVE_TRANSCRIPTION_DEFAULT = process.env.LIVE_TRANSCRIPTION === 'true';
 
 // Store active recordings
 const activeRecordings = new Map();
+// Guilds whose stopped (or recovered) recording is still being processed
+const processingGuilds = new Set();
+// Guilds where a recording is being started but is not in activeRecordings yet
+const startingGuilds = new Set();
+// Meetings whose transcript and minutes are being posted, so a resumed run never overlaps the original
+const completingMeetings = new Set();
+
+// What to do with recordings left behind by a crash: prompt (post buttons), auto (process right away) or off
+const RECOVERY_MODE = (process.env.RECOVERY_MODE || 'prompt').toLowerCase();
 
 // Tuning constants for capture reliability and robustness
 const SILENCE_CLOSE_MS = 1000; // was 100ms – increased to avoid clipping tail of speech
@@ -44,8 +85,22 @@ const STREAM_FLUSH_INTERVAL_MS = 30000; // flush write streams every 30s to prev
 const MAX_RECONNECT_ATTEMPTS = 3; // reconnection attempts if connection drops
 const STREAM_HIGH_WATER_MARK = 64 * 1024; // 64KB buffer for write streams (helps with concurrent writes)
 
+createGauge('minutes_active_recordings', 'Recordings in progress', () => activeRecordings.size);
+createGauge('minutes_processing_backlog', 'Finished recordings still being transcribed and summarized', () => processingGuilds.size);
+const capturedBytes = createCounter('minutes_captured_bytes_total', 'Decoded PCM audio received from Discord');
+const reconnectAttempts = createCounter('minutes_voice_reconnect_attempts_total', 'Attempts to recover a dropped voice connection (label: outcome)');
+
 export async function handleVoiceCommand(interaction) {
   const action = interaction.options.getString('action');
+
+  // These act on the guild's recording, wherever the member is
+  if (action === 'status') {
+    return showRecordingStatus(interaction);
+  }
+  if (action === 'pause' || action === 'resume') {
+    return setRecordingPaused(interaction, action === 'pause');
+  }
+
   const member = interaction.member;
   const voiceChannel = member.voice.channel;
 
@@ -68,238 +123,432 @@ export async function handleVoiceCommand(interaction) {
   }
 }
 
-async function startRecording(interaction, voiceChannel) {
-  const guildId = voiceChannel.guild.id;
+/**
+ * Why a recording cannot start in a guild right now
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<string|null>} - Message for the user, or null if a recording can start
+ */
+export async function getStartBlocker(guildId) {
+  if (activeRecordings.has(guildId) || startingGuilds.has(guildId)) return '❌ Already recording in this server!';
+  // A new session would overwrite the per-user files of one that has not been processed yet
+  if (processingGuilds.has(guildId)) return '⏳ Still processing the previous recording, try again in a moment.';
+  if (RECOVERY_MODE !== 'off') {
+    // Only a session someone can act on blocks; one whose buttons never got posted is not waited for
+    const unfinished = await readSessionManifest(guildId);
+    if (unfinished?.recoveryOfferedAt) {
+      return `❌ An unfinished recording from <t:${Math.floor(unfinished.startTime / 1000)}:f> is waiting to be processed. ` +
+        `Use the buttons posted in <#${unfinished.textChannelId}> to process or discard it first.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Where a guild is recording right now
+ * @param {string} guildId - Guild ID
+ * @returns {{voiceChannelId: string, textChannelId: string, startTime: number}|null} - Null when not recording
+ */
+export function getRecordingInfo(guildId) {
+  const recordingData = activeRecordings.get(guildId);
+  if (!recordingData) return null;
+  return {
+    voiceChannelId: recordingData.voiceChannel.id,
+    textChannelId: recordingData.textChannelId,
+    startTime: recordingData.startTime,
+  };
+}
+
+/**
+ * Snapshot of every recording in progress, plus guilds whose last recording is still being processed
+ * @returns {{recordings: object[], processing: string[]}} - Plain data, safe to serialize
+ */
+export function getRecordingStates() {
+  const now = Date.now();
+  const recordings = [...activeRecordings].map(([guildId, recordingData]) => ({
+    guildId,
+    voiceChannelId: recordingData.voiceChannel.id,
+    voiceChannelName: recordingData.voiceChannel.name,
+    textChannelId: recordingData.textChannelId,
+    startTime: recordingData.startTime,
+    elapsedSeconds: Math.floor((now - recordingData.startTime) / 1000),
+    paused: recordingData.paused,
+    pauses: recordingData.pauses,
+    liveThreadId: recordingData.live?.thread.id || null,
+    reconnectAttempts: recordingData.reconnectAttempts,
+    participants: [...recordingData.audioStreams].map(([userId, { user, bytesWritten = 0 }]) => ({
+      id: userId,
+      name: user?.displayName || user?.user?.tag || userId,
+      bytesCaptured: bytesWritten,
+      present: recordingData.voiceChannel.members.has(userId),
+    })),
+  }));
+  return { recordings, processing: [...processingGuilds] };
+}
 
-  if (activeRecordings.has(guildId)) {
+async function startRecording(interaction, voiceChannel) {
+  const blocker = await getStartBlocker(voiceChannel.guild.id);
+  if (blocker) {
     if (interaction.deferred) {
-      return interaction.editReply({ content: '❌ Already recording in this server!' });
+      return interaction.editReply({ content: blocker });
     }
-    return interaction.reply({ content: '❌ Already recording in this server!', ephemeral: true });
+    return interaction.reply({ content: blocker, ephemeral: true });
   }
 
   // Interaction already deferred in index.js; provide status
   await interaction.editReply({ content: `🔄 Joining ${voiceChannel.name}...` });
 
   try {
-    const connection = joinVoiceChannel({
-      channelId: voiceChannel.id,
-      guildId: guildId,
-      selfDeaf: false,
-      selfMute: true,
-      adapterCreator: voiceChannel.guild.voiceAdapterCreator,
+    const notes = await beginRecording(voiceChannel, {
+      textChannel: interaction.channel,
+      startedBy: `<@${interaction.user.id}>`,
+      startedById: interaction.user.id,
+      live: interaction.options.getBoolean('live') ?? LIVE_TRANSCRIPTION_DEFAULT,
     });
 
-    const recordingData = {
-      connection,
-      startTime: Date.now(),
-      audioStreams: new Map(),
-      voiceChannel,
-      interaction,
-      flushIntervals: new Map(), // Track flush intervals per user
-      reconnectAttempts: 0,
-      voiceStateHandler: null, // Will be set below
-    };
+    await interaction.editReply({
+      content: `✅ Started recording in ${voiceChannel.name}! Use /record stop when finished.${notes}`,
+    });
+  } catch (error) {
+    if (error.alreadyRecording) {
+      return interaction.editReply({ content: '❌ Already recording in this server!' }).catch(console.error);
+    }
+    console.error('Error starting recording:', error);
+    if (interaction.deferred) {
+      await interaction.editReply({
+        content: '❌ Failed to start recording. Make sure the bot has proper permissions.',
+      }).catch(console.error);
+    } else {
+      await interaction.followUp({ content: '❌ Failed to start recording.' }).catch(console.error);
+    }
+  }
+}
 
-    activeRecordings.set(guildId, recordingData);
+/**
+ * Join a voice channel and start capturing every consenting member's audio
+ * @param {import('discord.js').VoiceChannel} voiceChannel - Channel to record
+ * @param {object} options
+ * @param {import('discord.js').TextBasedChannel} options.textChannel - Where the notice, live thread and results go
+ * @param {string} options.startedBy - Who started it, for the notice (a mention or e.g. "a schedule")
+ * @param {string|null} [options.startedById=null] - ID of the member who started it (none for automatic recordings)
+ * @param {boolean} [options.live=false] - Post a rolling transcript to a thread
+ * @returns {Promise<string>} - Extra lines for the confirmation message
+ * @throws {Error} - With `alreadyRecording` set when another recording of the guild started first
+ */
+export async function beginRecording(voiceChannel, { textChannel, startedBy, startedById = null, live = false }) {
+  const guildId = voiceChannel.guild.id;
 
-    // Monitor connection status and attempt recovery
-    connection.on(VoiceConnectionStatus.Disconnected, async () => {
-      console.warn('⚠️ Voice connection disconnected, attempting recovery...');
-      try {
-        await Promise.race([
-          connection.reconnect(),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Reconnection timeout')), 5000)),
-        ]);
-        console.log('✅ Voice connection recovered');
-      } catch (error) {
-        console.error('❌ Failed to recover connection:', error);
-        if (recordingData.reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
-          recordingData.reconnectAttempts++;
-          console.log(`🔄 Reconnection attempt ${recordingData.reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS}`);
-        } else {
-          console.error('❌ Max reconnection attempts reached, stopping recording');
-          connection.destroy();
-          activeRecordings.delete(guildId);
+  // Two starts can both get past getStartBlocker; the guild is reserved before anything is awaited,
+  // and from joining the channel to activeRecordings.set below nothing is awaited either
+  if (activeRecordings.has(guildId) || startingGuilds.has(guildId)) {
+    const error = new Error(`Already recording in guild ${guildId}`);
+    error.alreadyRecording = true;
+    throw error;
+  }
+  startingGuilds.add(guildId);
+  let guildConfig;
+  try {
+    guildConfig = await getGuildConfig(guildId);
+  } finally {
+    startingGuilds.delete(guildId);
+  }
+
+  const connection = joinVoiceChannel({
+    channelId: voiceChannel.id,
+    guildId: guildId,
+    selfDeaf: false,
+    selfMute: true,
+    adapterCreator: voiceChannel.guild.voiceAdapterCreator,
+  });
+
+  const recordingData = {
+    connection,
+    startTime: Date.now(),
+    audioStreams: new Map(),
+    voiceChannel,
+    textChannelId: textChannel.id,
+    startedById,
+    flushIntervals: new Map(), // Track flush intervals per user
+    reconnectAttempts: 0,
+    voiceStateHandler: null, // Will be set below
+    speakingBursts: new Map(), // userId -> [{ start, end }] (ms from startTime)
+    paused: false,
+    pauses: [], // [{ start, end }] (ms from startTime) spent off the record
+    consentPolicy: getConsentPolicy(guildConfig),
+    accepted: new Set(), // members who clicked "Accept" during this recording
+    excludedUsers: new Map(), // userId -> names to redact, for members who are not recorded
+  };
+
+  activeRecordings.set(guildId, recordingData);
+
+  // Members already known not to be recorded still get their names redacted if others mention them
+  for (const member of voiceChannel.members.values()) {
+    if (!member.user.bot) await mayCapture(recordingData, member.id);
+  }
+
+  // Keep a manifest on disk so the audio can be recovered if the bot dies mid-recording
+  await saveSessionManifest(recordingData);
+  recordingData.manifestInterval = setInterval(() => saveSessionManifest(recordingData), STREAM_FLUSH_INTERVAL_MS);
+
+  await announceRecording(textChannel, recordingData, startedBy);
+
+  // Monitor connection status and attempt recovery
+  connection.on(VoiceConnectionStatus.Disconnected, async () => {
+    console.warn('⚠️ Voice connection disconnected, attempting recovery...');
+    try {
+      await Promise.race([
+        connection.reconnect(),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('Reconnection timeout')), 5000)),
+      ]);
+      console.log('✅ Voice connection recovered');
+      reconnectAttempts.inc({ outcome: 'recovered' });
+    } catch (error) {
+      console.error('❌ Failed to recover connection:', error);
+      reconnectAttempts.inc({ outcome: 'failed' });
+      if (recordingData.reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+        recordingData.reconnectAttempts++;
+        console.log(`🔄 Reconnection attempt ${recordingData.reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS}`);
+      } else {
+        console.error('❌ Max reconnection attempts reached, stopping recording');
+        connection.destroy();
+        activeRecordings.delete(guildId);
+        // The audio captured so far is still on disk; offer it like a crashed session
+        recordingData.endTime = Date.now();
+        await saveSessionManifest(recordingData);
+        const manifest = await readSessionManifest(guildId);
+        if (manifest && RECOVERY_MODE !== 'off') {
+          await offerSessionRecovery(voiceChannel.guild.client, manifest, 'The voice connection was lost during');
         }
       }
-    });
+    }
+  });
 
-    connection.on(VoiceConnectionStatus.Destroyed, () => {
-      console.log('🔌 Voice connection destroyed');
-      // Cleanup flush intervals
-      if (recordingData.flushIntervals) {
-        recordingData.flushIntervals.forEach(interval => clearInterval(interval));
-        recordingData.flushIntervals.clear();
-      }
-      // Remove voice state listener
-      if (recordingData.voiceStateHandler) {
-        voiceChannel.guild.client.removeListener('voiceStateUpdate', recordingData.voiceStateHandler);
-        recordingData.voiceStateHandler = null;
-      }
+  connection.on(VoiceConnectionStatus.Destroyed, () => {
+    console.log('🔌 Voice connection destroyed');
+    clearInterval(recordingData.manifestInterval);
+    recordingData.live?.stop();
+    // Close any file still open (e.g. after giving up on reconnecting) so padding stops growing it
+    recordingData.audioStreams.forEach(({ padder, writeStream }) => {
+      padder?.stopPadding();
+      if (writeStream && !writeStream.writableEnded) writeStream.end();
     });
+    // Cleanup flush intervals
+    if (recordingData.flushIntervals) {
+      recordingData.flushIntervals.forEach(interval => clearInterval(interval));
+      recordingData.flushIntervals.clear();
+    }
+    // Remove voice state listener
+    if (recordingData.voiceStateHandler) {
+      voiceChannel.guild.client.removeListener('voiceStateUpdate', recordingData.voiceStateHandler);
+      recordingData.voiceStateHandler = null;
+    }
+  });
 
-    // Continuous per-user aggregation approach to reduce lost chunks
-    connection.receiver.speaking.on('start', async (userId) => {
-      if (!activeRecordings.has(guildId)) return;
-      const user = voiceChannel.guild.members.cache.get(userId);
-      const recordingsDir = path.join(process.cwd(), 'recordings', guildId);
-      if (!existsSync(recordingsDir)) {
-        await mkdir(recordingsDir, { recursive: true }).catch(console.error);
-      }
+  // Continuous per-user aggregation approach to reduce lost chunks
+  connection.receiver.speaking.on('start', async (userId) => {
+    if (!activeRecordings.has(guildId)) return;
 
-      // If already tracking user with a persistent subscription, skip creating another
-      const existing = recordingData.audioStreams.get(userId);
-      if (existing && existing.persistent) {
-        return; // subscription already active
-      }
+    // Nobody is captured without consent: no speaking burst, no subscription, no file
+    const existing = recordingData.audioStreams.get(userId);
+    if (!existing?.persistent && !(await mayCapture(recordingData, userId))) return;
 
-      console.log(`🎤 (persistent) ${user?.displayName || user?.user.tag || userId} started speaking`);
+    const user = voiceChannel.guild.members.cache.get(userId);
+    const recordingsDir = path.join(process.cwd(), 'recordings', guildId);
+    if (!existsSync(recordingsDir)) {
+      await mkdir(recordingsDir, { recursive: true }).catch(console.error);
+    }
 
-      // Create a single PCM file for entire session for this user
-      const aggregatedFilename = `user_${userId}_full.pcm`;
-      const aggregatedPath = path.join(recordingsDir, aggregatedFilename);
-      const aggregatedOut = createWriteStream(aggregatedPath, { 
-        flags: 'a', // append if exists
-        highWaterMark: STREAM_HIGH_WATER_MARK, // larger buffer for concurrent writes
-      });
+    // Remember when this burst started on the meeting clock (nothing is kept while paused)
+    if (!recordingData.paused) {
+      pushSpeakingBurst(recordingData, userId);
+    }
 
-      // Manual end so stream stays available across pauses; Discord only sends frames when user speaks
-      const audioStream = connection.receiver.subscribe(userId, {
-        end: { behavior: EndBehaviorType.Manual },
-      });
+    // If already tracking user with a persistent subscription, skip creating another. Looked up again
+    // because a second start event may have opened the track while this one was awaiting the checks above;
+    // two subscriptions writing the same file would corrupt it.
+    if (recordingData.audioStreams.get(userId)?.persistent || activeRecordings.get(guildId) !== recordingData) {
+      return; // subscription already active (or the recording stopped meanwhile)
+    }
 
-      const decoder = new prism.opus.Decoder({
-        frameSize: 960,
-        channels: 2,
-        rate: 48000,
-      });
+    console.log(`🎤 (persistent) ${user?.displayName || user?.user.tag || userId} started speaking`);
 
-      let streamActive = true;
-      let bytesWritten = 0;
+    // Create a single PCM file for entire session for this user. Byte 0 is the recording start,
+    // so leftovers from an older session must be overwritten rather than appended to.
+    const aggregatedFilename = `user_${userId}_full.pcm`;
+    const aggregatedPath = path.join(recordingsDir, aggregatedFilename);
+    const aggregatedOut = createWriteStream(aggregatedPath, { 
+      flags: 'w',
+      highWaterMark: STREAM_HIGH_WATER_MARK, // larger buffer for concurrent writes
+    });
 
-      // Handle stream errors gracefully without breaking the pipeline
-      audioStream.on('error', (err) => {
-        // Log but don't crash - streams may close when users disconnect
-        if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
-          console.error(`Audio stream error for ${user?.displayName || user?.user.tag}:`, err);
-        }
-        streamActive = false;
-      });
+    // Manual end so stream stays available across pauses; Discord only sends frames when user speaks
+    const audioStream = connection.receiver.subscribe(userId, {
+      end: { behavior: EndBehaviorType.Manual },
+    });
 
-      decoder.on('error', (err) => {
-        console.error(`Decoder error for ${user?.displayName || user?.user.tag}:`, err);
-        // Try to recover by recreating the decoder if possible
-        streamActive = false;
-      });
+    const decoder = new prism.opus.Decoder({
+      frameSize: 960,
+      channels: 2,
+      rate: 48000,
+    });
 
-      aggregatedOut.on('error', (err) => {
-        console.error(`Write stream error for ${user?.displayName || user?.user.tag}:`, err);
-        streamActive = false;
-      });
+    // Fill the gaps between bursts with silence so the file stays on the meeting clock
+    const padder = createSilencePadder(recordingData.startTime);
+    padder.muted = recordingData.paused;
+
+    let streamActive = true;
+    let bytesWritten = 0;
+
+    const streamData = {
+      user,
+      files: [], // legacy field retained for backward compatibility
+      persistent: true,
+      aggregatedPath,
+      stream: audioStream,
+      writeStream: aggregatedOut,
+      decoder: decoder,
+      padder,
+      startTime: Date.now(),
+      bytesWritten: 0,
+    };
 
-      // Track bytes written for monitoring
-      aggregatedOut.on('drain', () => {
-        // Buffer has drained, can write more
-      });
+    // Handle stream errors gracefully without breaking the pipeline
+    audioStream.on('error', (err) => {
+      // Log but don't crash - streams may close when users disconnect
+      if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error(`Audio stream error for ${user?.displayName || user?.user.tag}:`, err);
+      }
+      streamActive = false;
+    });
 
-      // Monitor data flow
-      decoder.on('data', (chunk) => {
-        bytesWritten += chunk.length;
-      });
+    decoder.on('error', (err) => {
+      console.error(`Decoder error for ${user?.displayName || user?.user.tag}:`, err);
+      // Try to recover by recreating the decoder if possible
+      streamActive = false;
+    });
 
-      pipeline(audioStream, decoder, aggregatedOut, (err) => {
-        streamActive = false;
-        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
-          console.error(`Pipeline error for ${user?.displayName || user?.user.tag}:`, err);
-        }
-        console.log(`📊 Total bytes written for ${user?.displayName || user?.user.tag}: ${(bytesWritten / 1024).toFixed(2)} KB`);
-        
-        // Clear flush interval for this user
-        const flushInterval = recordingData.flushIntervals?.get(userId);
-        if (flushInterval) {
-          clearInterval(flushInterval);
-          recordingData.flushIntervals.delete(userId);
-        }
-      });
+    aggregatedOut.on('error', (err) => {
+      console.error(`Write stream error for ${user?.displayName || user?.user.tag}:`, err);
+      streamActive = false;
+    });
 
-      // Periodic flush to ensure data is written to disk (critical for long recordings)
-      const flushInterval = setInterval(() => {
-        if (streamActive && !aggregatedOut.destroyed) {
-          // Force flush by corking and uncorking
-          aggregatedOut.cork();
-          setImmediate(() => {
-            if (!aggregatedOut.destroyed) {
-              aggregatedOut.uncork();
-              console.log(`💾 Flushed stream for ${user?.displayName || user?.user.tag} (${(bytesWritten / 1024).toFixed(2)} KB total)`);
-            }
-          });
-        } else {
-          clearInterval(flushInterval);
-          recordingData.flushIntervals?.delete(userId);
-        }
-      }, STREAM_FLUSH_INTERVAL_MS);
-
-      recordingData.audioStreams.set(userId, {
-        user,
-        files: [], // legacy field retained for backward compatibility
-        persistent: true,
-        aggregatedPath,
-        stream: audioStream,
-        writeStream: aggregatedOut,
-        decoder: decoder,
-        startTime: Date.now(),
-      });
+    // Track bytes written for monitoring
+    aggregatedOut.on('drain', () => {
+      // Buffer has drained, can write more
+    });
 
-      recordingData.flushIntervals?.set(userId, flushInterval);
+    // Monitor data flow
+    decoder.on('data', (chunk) => {
+      if (recordingData.paused) return; // replaced by silence, not captured
+      bytesWritten += chunk.length;
+      streamData.bytesWritten = bytesWritten;
+      capturedBytes.inc({}, chunk.length);
     });
 
-    // Monitor voice state changes to handle users leaving the channel
-    const voiceStateHandler = async (oldState, newState) => {
-      // Only process if recording is still active
-      if (!activeRecordings.has(guildId)) return;
-      
-      const userId = newState.id;
-      const leftChannel = oldState.channelId === voiceChannel.id && newState.channelId !== voiceChannel.id;
+    pipeline(audioStream, decoder, padder, aggregatedOut, (err) => {
+      streamActive = false;
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error(`Pipeline error for ${user?.displayName || user?.user.tag}:`, err);
+      }
+      console.log(`📊 Total bytes written for ${user?.displayName || user?.user.tag}: ${(bytesWritten / 1024).toFixed(2)} KB`);
       
-      if (leftChannel && recordingData.audioStreams.has(userId)) {
-        console.log(`👋 User ${newState.member?.displayName || userId} left the voice channel, finalizing their recording...`);
-        await finalizeUserRecording(guildId, userId, recordingData);
+      // Clear flush interval for this user
+      const flushInterval = recordingData.flushIntervals?.get(userId);
+      if (flushInterval) {
+        clearInterval(flushInterval);
+        recordingData.flushIntervals.delete(userId);
       }
-    };
+    });
 
-    recordingData.voiceStateHandler = voiceStateHandler;
-    voiceChannel.guild.client.on('voiceStateUpdate', voiceStateHandler);
+    // Periodic flush to ensure data is written to disk (critical for long recordings)
+    const flushInterval = setInterval(() => {
+      if (streamActive && !aggregatedOut.destroyed) {
+        // Force flush by corking and uncorking
+        aggregatedOut.cork();
+        setImmediate(() => {
+          if (!aggregatedOut.destroyed) {
+            aggregatedOut.uncork();
+            console.log(`💾 Flushed stream for ${user?.displayName || user?.user.tag} (${(bytesWritten / 1024).toFixed(2)} KB total)`);
+          }
+        });
+      } else {
+        clearInterval(flushInterval);
+        recordingData.flushIntervals?.delete(userId);
+      }
+    }, STREAM_FLUSH_INTERVAL_MS);
 
-    await interaction.editReply({
-      content: `✅ Started recording in ${voiceChannel.name}! Use /record stop when finished.`,
-    });
-  } catch (error) {
-    console.error('Error starting recording:', error);
-    if (interaction.deferred) {
-      await interaction.editReply({
-        content: '❌ Failed to start recording. Make sure the bot has proper permissions.',
-      }).catch(console.error);
-    } else {
-      await interaction.followUp({ content: '❌ Failed to start recording.' }).catch(console.error);
+    recordingData.audioStreams.set(userId, streamData);
+    await saveSessionManifest(recordingData);
+
+    recordingData.flushIntervals?.set(userId, flushInterval);
+  });
+
+  connection.receiver.speaking.on('end', (userId) => {
+    closeSpeakingBurst(recordingData, userId);
+  });
+
+  // Monitor voice state changes to handle users leaving the channel
+  const voiceStateHandler = async (oldState, newState) => {
+    // Only process if recording is still active
+    if (!activeRecordings.has(guildId)) return;
+    
+    const userId = newState.id;
+    const leftChannel = oldState.channelId === voiceChannel.id && newState.channelId !== voiceChannel.id;
+    
+    // Their track stays open until the recording stops: it keeps filling with silence while they are away,
+    // and the same subscription carries their audio again if they come back
+    if (leftChannel && recordingData.audioStreams.has(userId)) {
+      console.log(`👋 User ${newState.member?.displayName || userId} left the voice channel, keeping their track open`);
+      closeSpeakingBurst(recordingData, userId);
+    }
+
+    const joinedChannel = oldState.channelId !== voiceChannel.id && newState.channelId === voiceChannel.id;
+    if (joinedChannel && !newState.member?.user.bot) {
+      await mayCapture(recordingData, userId);
+    }
+  };
+
+  recordingData.voiceStateHandler = voiceStateHandler;
+  voiceChannel.guild.client.on('voiceStateUpdate', voiceStateHandler);
+
+  let liveNote = '';
+  if (live) {
+    try {
+      const thread = await textChannel.threads.create({
+        name: `Live transcript — ${voiceChannel.name}`.slice(0, 100),
+        autoArchiveDuration: 1440,
+        reason: 'Live meeting transcript',
+      });
+      await thread.send({
+        content: `🛰️ Live transcript of **${voiceChannel.name}**, updated about every ${LIVE_SLICE_SECONDS}s. ` +
+          'The final transcript and summary will be posted when the recording stops.',
+      });
+      recordingData.live = startLiveTranscription(recordingData, { guildId, thread });
+      liveNote = `\n🛰️ Live transcript: <#${thread.id}>`;
+    } catch (threadError) {
+      console.error('Error creating live transcript thread:', threadError);
+      liveNote = '\n⚠️ Could not create a thread for the live transcript (missing permission to create threads?).';
     }
   }
+
+  return liveNote;
 }
 
 async function stopRecording(interaction, voiceChannel) {
   const guildId = voiceChannel.guild.id;
-  
-  // Check for active connection first (more reliable than Map after restarts)
-  const connection = getVoiceConnection(guildId);
-  const recordingData = activeRecordings.get(guildId);
 
-  if (!connection && !recordingData) {
+  // Check for active connection first (more reliable than Map after restarts)
+  if (!getVoiceConnection(guildId) && !activeRecordings.has(guildId)) {
     if (interaction.deferred) {
       return interaction.editReply({ content: '❌ No active recording in this server!' });
     }
     return interaction.reply({ content: '❌ No active recording in this server!', ephemeral: true });
   }
 
+  const recordingData = activeRecordings.get(guildId);
+  if (recordingData && !mayControlRecording(interaction, recordingData)) {
+    return interaction.editReply({ content: CONTROL_DENIED_MESSAGE });
+  }
+
   // Provide stopping status
   if (interaction.deferred && !interaction.replied) {
     await interaction.editReply({ content: '🔄 Stopping recording...' }).catch(console.error);
@@ -308,99 +557,34 @@ async function stopRecording(interaction, voiceChannel) {
   }
 
   try {
-    // Remove voice state listener
-    if (recordingData && recordingData.voiceStateHandler) {
-      voiceChannel.guild.client.removeListener('voiceStateUpdate', recordingData.voiceStateHandler);
-      recordingData.voiceStateHandler = null;
-    }
-
-    // Properly finalize all active streams before destroying connection
-    if (recordingData && recordingData.audioStreams.size > 0) {
-      console.log(`🔄 Finalizing ${recordingData.audioStreams.size} active stream(s)...`);
-      
-      // Stop all flush intervals first
-      if (recordingData.flushIntervals) {
-        recordingData.flushIntervals.forEach(interval => clearInterval(interval));
-        recordingData.flushIntervals.clear();
-      }
-
-      // Gracefully close all streams
-      const closePromises = [];
-      for (const [userId, streamData] of recordingData.audioStreams.entries()) {
-        const { writeStream, stream: audioStream, user } = streamData;
-        
-        closePromises.push(
-          new Promise((resolve) => {
-            if (writeStream && !writeStream.destroyed) {
-              // Ensure all data is flushed
-              writeStream.end(() => {
-                console.log(`✅ Closed stream for ${user?.displayName || user?.user.tag || userId}`);
-                resolve();
-              });
-              // Force close after timeout to prevent hanging
-              setTimeout(() => {
-                if (!writeStream.destroyed) {
-                  writeStream.destroy();
-                  resolve();
-                }
-              }, 2000);
-            } else {
-              resolve();
-            }
-          })
-        );
-      }
-
-      // Wait for all streams to close, with timeout
-      await Promise.race([
-        Promise.all(closePromises),
-        new Promise(resolve => setTimeout(resolve, 3000)), // max 3s wait
-      ]);
-      
-      console.log('✅ All streams finalized');
-    }
-
-    // Destroy connection if it exists
-    if (connection) {
-      connection.destroy();
-    }
-
-    const duration = recordingData 
-      ? Math.floor((Date.now() - recordingData.startTime) / 1000) 
-      : 0;
-    const recordingsDir = path.join(process.cwd(), 'recordings', guildId);
-
-    // Clean up from Map
-    activeRecordings.delete(guildId);
+    // Per-user stems are only kept (and shared) when explicitly requested
+    const { duration, hasAudio, resultsChannelId } = await finishRecording(guildId, {
+      keepStems: interaction.options.getBoolean('stems') ?? false,
+      transcriptFormat: interaction.options.getString('format') || 'markdown',
+    });
 
+    const processing = `\n📁 Processing recordings... the results will be posted in <#${resultsChannelId}>.`;
+    const content = `⏹️ Recording stopped! Duration: ${duration}s${hasAudio ? processing : ''}`;
     if (interaction.deferred) {
-      await interaction.editReply({
-        content: `⏹️ Recording stopped! Duration: ${duration}s\n📁 Processing recordings...`,
-      }).catch(console.error);
+      await interaction.editReply({ content }).catch(console.error);
     } else {
-      await interaction.followUp({
-        content: `⏹️ Recording stopped! Duration: ${duration}s\n📁 Processing recordings...`,
-      }).catch(console.error);
+      await interaction.followUp({ content }).catch(console.error);
     }
-
-    // Process recordings with transcription and summarization
-    if (recordingData && recordingData.audioStreams.size > 0) {
-      setTimeout(async () => {
-        try {
-          await processRecordings(guildId, recordingData, interaction);
-        } catch (error) {
-          console.error('Error processing recordings:', error);
-          await interaction.followUp({
-            content: '❌ Error processing recordings.',
-          }).catch(console.error);
-        }
-      }, FINAL_FLUSH_DELAY_MS); // Wait for writes to flush
-    } else {
+    if (!hasAudio) {
       await interaction.followUp({
         content: '📭 No audio was captured during this recording session.',
       }).catch(console.error);
     }
   } catch (error) {
+    if (error.alreadyStopping) {
+      const content = '⏳ This recording is already being stopped.';
+      if (interaction.deferred) {
+        await interaction.editReply({ content }).catch(console.error);
+      } else {
+        await interaction.followUp({ content }).catch(console.error);
+      }
+      return;
+    }
     console.error('Error stopping recording:', error);
     if (interaction.deferred) {
       await interaction.editReply({
@@ -412,17 +596,530 @@ async function stopRecording(interaction, voiceChannel) {
   }
 }
 
-async function processRecordings(guildId, recordingData, interaction) {
+/**
+ * Stop a guild's recording, close every file and queue the usual processing.
+ * Results are posted according to the guild's delivery settings (see services/delivery.js).
+ * @param {string} guildId - Guild ID
+ * @param {object} [options]
+ * @param {boolean} [options.keepStems=false] - Also share each participant's track
+ * @param {string} [options.transcriptFormat='markdown'] - Transcript format (see TRANSCRIPT_FORMATS, or 'all')
+ * @returns {Promise<{duration: number, hasAudio: boolean, resultsChannelId: string|null}>} - Length in seconds,
+ *   whether anything is being processed, and where the results will go
+ * @throws {Error} With `alreadyStopping` set if another stop of this recording is under way
+ */
+export async function finishRecording(guildId, { keepStems = false, transcriptFormat = 'markdown' } = {}) {
+  const connection = getVoiceConnection(guildId);
+  const recordingData = activeRecordings.get(guildId);
+
+  // A stop can arrive from Discord, the API and auto-record at once; only the first one may run
+  if (recordingData?.stopping) {
+    const error = new Error(`Recording of guild ${guildId} is already being stopped`);
+    error.alreadyStopping = true;
+    throw error;
+  }
+  if (recordingData) {
+    recordingData.stopping = true;
+    clearInterval(recordingData.manifestInterval);
+  }
+
+  // Let the slice in flight finish so its segments are reused; final processing picks up the rest
+  if (recordingData?.live) {
+    await recordingData.live.stop();
+    const resultsChannelId = await getResultsChannelId(guildId, recordingData.textChannelId);
+    await recordingData.live.thread.send({
+      content: `⏹️ Recording stopped. The full transcript and summary will be posted in <#${resultsChannelId}>.`,
+    }).catch(console.error);
+  }
+
+  // Remove voice state listener
+  if (recordingData && recordingData.voiceStateHandler) {
+    recordingData.voiceChannel.guild.client.removeListener('voiceStateUpdate', recordingData.voiceStateHandler);
+    recordingData.voiceStateHandler = null;
+  }
+
+  // Properly finalize all active streams before destroying connection
+  if (recordingData && recordingData.audioStreams.size > 0) {
+    console.log(`🔄 Finalizing ${recordingData.audioStreams.size} active stream(s)...`);
+    
+    // Stop all flush intervals first
+    if (recordingData.flushIntervals) {
+      recordingData.flushIntervals.forEach(interval => clearInterval(interval));
+      recordingData.flushIntervals.clear();
+    }
+
+    // Gracefully close all streams
+    const closePromises = [];
+    for (const [userId, streamData] of recordingData.audioStreams.entries()) {
+      const { writeStream, stream: audioStream, user, padder } = streamData;
+      padder?.stopPadding();
+      
+      closePromises.push(
+        new Promise((resolve) => {
+          if (writeStream && !writeStream.destroyed) {
+            // Ensure all data is flushed
+            writeStream.end(() => {
+              console.log(`✅ Closed stream for ${user?.displayName || user?.user.tag || userId}`);
+              resolve();
+            });
+            // Force close after timeout to prevent hanging
+            setTimeout(() => {
+              if (!writeStream.destroyed) {
+                writeStream.destroy();
+                resolve();
+              }
+            }, 2000);
+          } else {
+            resolve();
+          }
+        })
+      );
+    }
+
+    // Wait for all streams to close, with timeout
+    await Promise.race([
+      Promise.all(closePromises),
+      new Promise(resolve => setTimeout(resolve, 3000)), // max 3s wait
+    ]);
+    
+    console.log('✅ All streams finalized');
+  }
+
+  // Destroy connection if it exists
+  if (connection) {
+    connection.destroy();
+  }
+
+  const duration = recordingData 
+    ? Math.floor((Date.now() - recordingData.startTime) / 1000) 
+    : 0;
+
+  // Clean up from Map
+  activeRecordings.delete(guildId);
+
+  // Per-user stems are only kept (and shared) when explicitly requested
+  if (recordingData) {
+    recordingData.endTime = Date.now();
+    const openPause = recordingData.pauses[recordingData.pauses.length - 1];
+    if (openPause && openPause.end === null) openPause.end = recordingData.endTime - recordingData.startTime;
+    recordingData.keepStems = keepStems;
+    recordingData.transcriptFormat = transcriptFormat;
+  }
+
+  // Process recordings with transcription and summarization
+  if (recordingData && recordingData.audioStreams.size > 0) {
+    await saveSessionManifest(recordingData);
+    processingGuilds.add(guildId);
+    setTimeout(async () => {
+      try {
+        await processRecordings(guildId, recordingData);
+      } catch (error) {
+        console.error('Error processing recordings:', error);
+        const client = recordingData.voiceChannel.guild.client;
+        const channel = await client.channels.fetch(recordingData.textChannelId).catch(() => null);
+        await channel?.send({
+          content: '❌ Error processing recordings.',
+        }).catch(console.error);
+        await offerFailedSession(client, guildId);
+      } finally {
+        processingGuilds.delete(guildId);
+      }
+    }, FINAL_FLUSH_DELAY_MS); // Wait for writes to flush
+    const resultsChannelId = await getResultsChannelId(guildId, recordingData.textChannelId);
+    return { duration, hasAudio: true, resultsChannelId };
+  }
+
+  await removeSessionManifest(guildId);
+  return { duration, hasAudio: false, resultsChannelId: null };
+}
+
+// Check the consent policy for a member, remembering the names of anyone who may not be recorded
+async function mayCapture(recordingData, userId) {
+  const guild = recordingData.voiceChannel.guild;
+  const member = guild.members.cache.get(userId) || await guild.members.fetch(userId).catch(() => null);
+  const { allowed, reason } = await checkCaptureConsent(guild.id, member, recordingData.consentPolicy, recordingData.accepted);
+
+  if (allowed) {
+    recordingData.excludedUsers.delete(userId);
+  } else if (!recordingData.excludedUsers.has(userId)) {
+    console.log(`🚫 Not recording ${member?.displayName || userId} (${reason})`);
+    recordingData.excludedUsers.set(userId, member ? memberNames(member) : []);
+  }
+  return allowed;
+}
+
+// Every name that must not appear in this recording's transcript or summary
+function excludedNames(recordingData) {
+  return [...(recordingData.excludedUsers?.values() || [])].flat();
+}
+
+// Tell the channel it is being recorded, with buttons to accept or opt out
+async function announceRecording(textChannel, recordingData, startedBy) {
+  const { voiceChannel, consentPolicy } = recordingData;
+  const guildId = voiceChannel.guild.id;
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`consent:accept:${guildId}`).setLabel('Accept').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`consent:optout:${guildId}`).setLabel('Opt out').setStyle(ButtonStyle.Danger),
+  );
+
+  try {
+    await textChannel.send({
+      content: [
+        `🔴 **${voiceChannel.name}** is being recorded (started by ${startedBy}). ` +
+          'What you say is transcribed and summarized, and the minutes are archived in this server.',
+        ...describeConsentPolicy(consentPolicy),
+        'Opting out applies to every recording in this server until you click **Accept** again.',
+      ].join('\n'),
+      components: [row],
+      allowedMentions: { parse: [] },
+    });
+  } catch (error) {
+    console.error('Error posting the recording notice:', error);
+  }
+}
+
+// Drop everything captured from a member who opted out in the middle of a recording
+async function discardUserAudio(recordingData, userId) {
+  recordingData.speakingBursts.delete(userId);
+  const streamData = recordingData.audioStreams.get(userId);
+  if (!streamData) return;
+
+  await finalizeUserRecording(recordingData.voiceChannel.guild.id, userId, recordingData);
+  streamData.stream?.destroy(); // unsubscribes from the receiver
+  recordingData.audioStreams.delete(userId);
+  await unlink(streamData.aggregatedPath).catch(() => {});
+  await saveSessionManifest(recordingData);
+  console.log(`🗑️ Discarded audio of ${userId} after they opted out`);
+}
+
+/**
+ * Handle the "Accept" / "Opt out" buttons on a recording notice
+ * @param {import('discord.js').ButtonInteraction} interaction - Button interaction
+ */
+export async function handleConsentButton(interaction) {
+  const [, action, guildId] = interaction.customId.split(':');
+  if (guildId !== interaction.guildId) return;
+
+  const userId = interaction.user.id;
+  const recordingData = activeRecordings.get(guildId);
+
+  if (action === 'optout') {
+    const saved = await setOptedOut(guildId, userId, true).then(() => true, () => false);
+    if (recordingData) {
+      recordingData.accepted.delete(userId);
+      recordingData.excludedUsers.set(userId, memberNames(interaction.member));
+      await discardUserAudio(recordingData, userId);
+    }
+    if (!saved) {
+      return interaction.reply({
+        content: '⚠️ You are left out of recordings for now, but your opt-out could not be saved and would be forgotten ' +
+          'when the bot restarts. Please click **Opt out** again in a moment.',
+        ephemeral: true,
+      });
+    }
+    return interaction.reply({
+      content: '🚫 You opted out of recordings in this server. Nothing you say is captured, and your name is left out of ' +
+        'transcripts and summaries. Click **Accept** on a recording notice to opt back in.',
+      ephemeral: true,
+    });
+  }
+
+  try {
+    await setOptedOut(guildId, userId, false);
+  } catch {
+    return interaction.reply({ content: '❌ Your choice could not be saved. Please try again in a moment.', ephemeral: true });
+  }
+  if (!recordingData) {
+    return interaction.reply({ content: '✅ You are no longer opted out of recordings in this server.', ephemeral: true });
+  }
+
+  recordingData.accepted.add(userId);
+  const allowed = await mayCapture(recordingData, userId);
+  return interaction.reply({
+    content: allowed
+      ? '✅ Thanks! You are included in this recording.'
+      : 'ℹ️ Noted, but this server\'s recording policy does not record you (see the roles in the notice).',
+    ephemeral: true,
+  });
+}
+
+function pushSpeakingBurst(recordingData, userId) {
+  const bursts = recordingData.speakingBursts.get(userId) || [];
+  recordingData.speakingBursts.set(userId, bursts);
+  bursts.push({ start: Date.now() - recordingData.startTime, end: null });
+}
+
+function closeSpeakingBurst(recordingData, userId) {
+  const bursts = recordingData.speakingBursts.get(userId);
+  const current = bursts?.[bursts.length - 1];
+  if (current && current.end === null) {
+    current.end = Date.now() - recordingData.startTime;
+  }
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${(bytes / 1024).toFixed(0)} KB`;
+}
+
+async function showRecordingStatus(interaction) {
+  const recordingData = activeRecordings.get(interaction.guildId);
+  if (!recordingData) {
+    const note = processingGuilds.has(interaction.guildId) ? ' The last recording is still being processed.' : '';
+    return interaction.editReply({ content: `⏹️ Not recording in this server.${note}` });
+  }
+
+  const { voiceChannel, audioStreams } = recordingData;
+  const elapsed = (Date.now() - recordingData.startTime) / 1000;
+  const offRecordMs = recordingData.pauses.reduce((sum, { start, end }) =>
+    sum + ((end ?? Date.now() - recordingData.startTime) - start), 0);
+
+  const lines = [
+    recordingData.paused
+      ? `⏸️ **Paused** in **${voiceChannel.name}** — use \`/record resume\` to continue`
+      : `🔴 **Recording** in **${voiceChannel.name}**`,
+    `⏱️ Elapsed: ${formatDuration(elapsed)}${offRecordMs > 0 ? ` (${formatDuration(offRecordMs / 1000)} off the record)` : ''}`,
+    `🔁 Reconnect attempts: ${recordingData.reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS}`,
+  ];
+  if (recordingData.live) lines.push(`🛰️ Live transcript: <#${recordingData.live.thread.id}>`);
+
+  // Everyone in the channel now, plus anyone who spoke earlier and has since left
+  const participants = [];
+  for (const [memberId, member] of voiceChannel.members) {
+    if (member.user.bot) continue;
+    const captured = audioStreams.get(memberId)?.bytesWritten || 0;
+    participants.push(`• ${member.displayName} — ${captured > 0 ? formatBytes(captured) : 'nothing yet'}`);
+  }
+  for (const [userId, { user, bytesWritten = 0 }] of audioStreams) {
+    if (voiceChannel.members.has(userId)) continue;
+    participants.push(`• ${user?.displayName || user?.user?.tag || userId} — ${formatBytes(bytesWritten)} (left)`);
+  }
+  lines.push(`👥 Participants:`, ...(participants.length > 0 ? participants : ['• nobody']));
+
+  return interaction.editReply({ content: lines.join('\n').slice(0, 2000) });
+}
+
+const CONTROL_DENIED_MESSAGE = '❌ Only whoever started the recording, members in the recorded voice channel ' +
+  'and members with the Manage Server permission can stop, pause or resume it.';
+
+// Who may stop, pause or resume a recording
+function mayControlRecording(interaction, recordingData) {
+  if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) return true;
+  if (recordingData.startedById && recordingData.startedById === interaction.user.id) return true;
+  return interaction.member?.voice?.channelId === recordingData.voiceChannel.id;
+}
+
+// Pausing keeps the connection and the files open but writes silence instead of audio,
+// so the tracks stay aligned to the meeting clock and nothing said meanwhile is kept
+async function setRecordingPaused(interaction, paused) {
+  const recordingData = activeRecordings.get(interaction.guildId);
+  if (!recordingData) {
+    return interaction.editReply({ content: '❌ No active recording in this server!' });
+  }
+  if (!mayControlRecording(interaction, recordingData)) {
+    return interaction.editReply({ content: CONTROL_DENIED_MESSAGE });
+  }
+  if (recordingData.paused === paused) {
+    return interaction.editReply({ content: paused ? 'ℹ️ The recording is already paused.' : 'ℹ️ The recording is not paused.' });
+  }
+
+  const now = Date.now() - recordingData.startTime;
+  const speaking = recordingData.connection.receiver.speaking.users;
+  recordingData.paused = paused;
+  for (const { padder } of recordingData.audioStreams.values()) {
+    if (padder) padder.muted = paused;
+  }
+
+  if (paused) {
+    recordingData.pauses.push({ start: now, end: null });
+    for (const userId of recordingData.speakingBursts.keys()) closeSpeakingBurst(recordingData, userId);
+  } else {
+    recordingData.pauses[recordingData.pauses.length - 1].end = now;
+    // Whoever is mid-sentence will not get a new "start" event until they pause
+    for (const userId of speaking.keys()) pushSpeakingBurst(recordingData, userId);
+  }
+
+  const who = interaction.member?.displayName || interaction.user.tag;
+  const announcement = paused
+    ? `⏸️ Recording paused by ${who}. Nothing is captured until it is resumed with \`/record resume\`.`
+    : `▶️ Recording resumed by ${who}.`;
+  console.log(`${paused ? '⏸️' : '▶️'} Recording ${paused ? 'paused' : 'resumed'} in guild ${interaction.guildId}`);
+
+  // Tell everyone, not just whoever clicked
+  const channel = await interaction.client.channels.fetch(recordingData.textChannelId).catch(() => null);
+  await channel?.send({ content: announcement }).catch(console.error);
+  await recordingData.live?.thread.send({ content: announcement }).catch(console.error);
+
+  return interaction.editReply({ content: paused ? '⏸️ Paused.' : '▶️ Resumed.' });
+}
+
+/**
+ * Look for recordings interrupted by a crash or redeploy (their manifest is still on disk)
+ * and either process them right away or ask in the original text channel, per RECOVERY_MODE
+ * @param {import('discord.js').Client} client - Logged-in client
+ */
+export async function recoverUnfinishedSessions(client) {
+  if (RECOVERY_MODE === 'off') return;
+
+  const sessions = await findUnfinishedSessions();
+  if (sessions.length > 0) {
+    console.log(`♻️ Found ${sessions.length} unfinished recording session(s)`);
+  }
+
+  for (const manifest of sessions) {
+    if (activeRecordings.has(manifest.guildId) || processingGuilds.has(manifest.guildId)) continue;
+    await offerSessionRecovery(client, manifest);
+  }
+}
+
+// When processing fails before the audio was handed to a transcription job, the session is still on disk:
+// post the buttons for it again, so it does not keep new recordings from starting with none to click.
+// Automatic recovery is not retried, as it would most likely fail the same way.
+async function offerFailedSession(client, guildId) {
+  if (RECOVERY_MODE === 'auto' || RECOVERY_MODE === 'off') return;
+  const manifest = await readSessionManifest(guildId);
+  if (manifest) await offerSessionRecovery(client, manifest, 'Processing failed for');
+}
+
+// Process an unfinished session right away or post buttons for it, per RECOVERY_MODE
+async function offerSessionRecovery(client, manifest, reason = 'The bot restarted during') {
+  const { guildId } = manifest;
+  const channel = await client.channels.fetch(manifest.textChannelId).catch(() => null);
+  if (!channel?.isTextBased()) {
+    console.warn(`⚠️ Cannot reach text channel ${manifest.textChannelId} for unfinished session in guild ${guildId}`);
+    return;
+  }
+
+  const description = `a recording in **${manifest.voiceChannelName}** started <t:${Math.floor(manifest.startTime / 1000)}:f> ` +
+    `with ${Object.keys(manifest.participants).length} participant(s)`;
+
+  try {
+    if (RECOVERY_MODE === 'auto') {
+      await channel.send({ content: `♻️ ${reason} ${description}. Processing the audio captured so far...` });
+      processRecoveredSession(manifest, channel);
+    } else {
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`recovery:process:${guildId}`).setLabel('Process it').setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(`recovery:discard:${guildId}`).setLabel('Discard').setStyle(ButtonStyle.Danger),
+      );
+      await channel.send({
+        content: `♻️ ${reason} ${description}. The audio captured so far can still be transcribed and summarized.`,
+        components: [row],
+      });
+      await markRecoveryOffered(guildId);
+    }
+  } catch (error) {
+    console.error(`Error offering recovery for guild ${guildId}:`, error);
+  }
+}
+
+/**
+ * Handle the "Process it" / "Discard" buttons posted by recoverUnfinishedSessions
+ * @param {import('discord.js').ButtonInteraction} interaction - Button interaction
+ */
+export async function handleRecoveryButton(interaction) {
+  const [, action, guildId] = interaction.customId.split(':');
+  if (guildId !== interaction.guildId) return;
+
+  const manifest = await readSessionManifest(guildId);
+  if (!manifest || activeRecordings.has(guildId) || processingGuilds.has(guildId)) {
+    return interaction.update({ content: 'ℹ️ This recording has already been handled.', components: [] });
+  }
+
+  const allowed = interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)
+    || (manifest.startedById && manifest.startedById === interaction.user.id);
+  if (!allowed) {
+    return interaction.reply({
+      content: '❌ Only whoever started the recording and members with the Manage Server permission can process or discard it.',
+      ephemeral: true,
+    });
+  }
+
+  if (action === 'discard') {
+    for (const { aggregatedPath } of Object.values(manifest.participants)) {
+      await unlink(path.resolve(aggregatedPath)).catch(() => {});
+    }
+    await removeSessionManifest(guildId);
+    return interaction.update({ content: '🗑️ The unfinished recording was discarded.', components: [] });
+  }
+
+  await interaction.update({ content: '♻️ Processing the unfinished recording...', components: [] });
+  processRecoveredSession(manifest, interaction.channel);
+}
+
+// Rebuild enough of the recording state from a manifest to run the normal processing pipeline
+async function processRecoveredSession(manifest, channel) {
+  const { guildId } = manifest;
+  const guild = channel.guild;
+  const audioStreams = new Map();
+  for (const [userId, { name, aggregatedPath }] of Object.entries(manifest.participants)) {
+    audioStreams.set(userId, {
+      user: guild?.members.cache.get(userId) || { displayName: name },
+      files: [],
+      persistent: true,
+      aggregatedPath: path.resolve(aggregatedPath),
+      startTime: manifest.startTime,
+    });
+  }
+
+  const recordingData = {
+    startTime: manifest.startTime,
+    endTime: manifest.stoppedAt || manifest.lastWriteTime || Date.now(),
+    audioStreams,
+    voiceChannel: { id: manifest.voiceChannelId, name: manifest.voiceChannelName, guild },
+    textChannelId: manifest.textChannelId,
+    speakingBursts: new Map(Object.entries(manifest.speakingBursts || {})),
+    excludedUsers: new Map(Object.entries(manifest.excludedUsers || {})),
+    keepStems: false,
+    transcriptFormat: 'markdown',
+  };
+
+  processingGuilds.add(guildId);
+  try {
+    await processRecordings(guildId, recordingData);
+  } catch (error) {
+    console.error('Error processing recovered recording:', error);
+    await channel.send({ content: '❌ Error processing the recovered recording.' }).catch(console.error);
+    await offerFailedSession(channel.client, guildId);
+  } finally {
+    processingGuilds.delete(guildId);
+  }
+}
+
+// Results go to the guild's minutes channel (or a thread per meeting), never through an interaction
+// token, since processing a long meeting can take longer than the token lives
+async function processRecordings(guildId, recordingData) {
   const recordingsDir = path.join(process.cwd(), 'recordings', guildId);
-  const userRecordings = Array.from(recordingData.audioStreams.entries());
+  const client = recordingData.voiceChannel.guild.client;
+  const startedAt = new Date(recordingData.startTime).toISOString().slice(0, 16).replace('T', ' ');
+  const results = await openResultsChannel(client, {
+    guildId,
+    fallbackChannelId: recordingData.textChannelId,
+    threadName: `Minutes — ${recordingData.voiceChannel.name} — ${startedAt} UTC`,
+  });
+  const send = (payload) => results.channel.send(payload);
+  const meetingId = createMeetingId(recordingData.startTime);
+
+  const userRecordings = [];
+  for (const [userId, record] of recordingData.audioStreams.entries()) {
+    // Someone may have opted out after the recording stopped (or before a crash)
+    if (await isOptedOut(guildId, userId)) {
+      await unlink(record.aggregatedPath).catch(() => {});
+      recordingData.excludedUsers?.set(userId, [record.user?.displayName].filter(Boolean));
+      recordingData.speakingBursts.delete(userId);
+      continue;
+    }
+    userRecordings.push([userId, record]);
+  }
+  const redactedNames = excludedNames(recordingData);
 
   if (userRecordings.length === 0) {
-    return interaction.followUp({
+    return send({
       content: '📭 No audio was captured during this recording session.',
     });
   }
 
-  let allTranscriptions = '';
+  const chunks = []; // every speaker's transcription chunks, transcribed in parallel once all tracks are converted
+  const convertedTracks = []; // per-user MP3s, all aligned to the recording start
+  const processedPcmPaths = [];
   let successfulProcessing = 0;
   let failedProcessing = 0;
 
@@ -492,7 +1189,7 @@ async function processRecordings(guildId, recordingData, interaction) {
 
       if (mergedSize === 0) {
         console.error('⚠️ Merged file is empty, skipping conversion');
-        await interaction.followUp({
+        await send({
           content: `⚠️ No audio data for ${user?.displayName || 'Unknown'}`,
         });
         continue;
@@ -509,10 +1206,11 @@ async function processRecordings(guildId, recordingData, interaction) {
         
         console.log(`⏱️ FFmpeg timeout set to ${(timeoutMs / 1000).toFixed(1)}s for ${mergedSizeMB.toFixed(2)} MB file`);
         
+        const endTimer = ffmpegDuration.startTimer({ operation: 'convert' });
         const { stdout, stderr } = await execAsync(
           `"${resolvedFfmpegPath}" -y -f s16le -ar 48000 -ac 2 -i "${mergedPcmPath}" -b:a ${MP3_BITRATE_K}k "${mergedMp3Path}"`,
           { timeout: timeoutMs, maxBuffer: 20 * 1024 * 1024 } // larger buffer for stderr
-        );
+        ).finally(() => endTimer());
         
         if (stderr && stderr.includes('error')) {
           console.warn('FFmpeg warnings:', stderr);
@@ -525,82 +1223,48 @@ async function processRecordings(guildId, recordingData, interaction) {
         }
         
         console.log(`✅ Converted to MP3: ${(mp3Size / 1024).toFixed(2)} KB`);
-
-        // Send the MP3 file
-        // await interaction.followUp({
-        //   content: `🎵 Recording from ${user?.displayName || 'Unknown'} (${useAggregatedDirectly ? 'aggregated stream' : pcmPaths.length + ' segment' + (pcmPaths.length > 1 ? 's' : '')})`,
-        //   files: [mergedMp3Path],
-        // });
-
-        // Decide whether to transcribe whole file or proactively chunk based on file size
-        const { size: mp3Bytes } = await stat(mergedMp3Path).catch(() => ({ size: 0 }));
-        const mp3MB = mp3Bytes / (1024 * 1024);
-        const shouldChunkProactively = mp3MB > PROACTIVE_CHUNK_MB;
-
-        let transcription = '';
-        if (shouldChunkProactively) {
-          console.log(`🔪 Proactively chunking audio (~${mp3MB.toFixed(2)} MB > ${PROACTIVE_CHUNK_MB} MB)...`);
-          const chunks = await splitAudioIntoChunks(mergedMp3Path, recordingsDir, userId, DEFAULT_CHUNK_SECONDS);
-          if (chunks.length > 0) {
-            for (let i = 0; i < chunks.length; i++) {
-              const chunkPath = chunks[i];
-              const partText = await transcribeAudio(chunkPath);
-              if (partText) {
-                transcription += partText + '\n';
-              } else {
-                console.warn(`⚠️ Transcription failed for chunk #${i + 1}`);
-              }
-              await unlink(chunkPath).catch(console.error);
-            }
-            transcription = transcription.trim();
-          } else {
-            console.warn('⚠️ No chunks were produced for proactive transcription; attempting whole-file transcription.');
-            transcription = await transcribeAudio(mergedMp3Path);
-          }
-        } else {
-          // Transcribe the audio (with chunked fallback on network errors)
-          transcription = await transcribeAudio(mergedMp3Path);
-          if (!transcription) {
-            console.log('⚠️ Full-file transcription failed. Attempting chunked transcription fallback...');
-            const chunks = await splitAudioIntoChunks(mergedMp3Path, recordingsDir, userId, DEFAULT_CHUNK_SECONDS);
-            if (chunks.length > 0) {
-              let combined = '';
-              for (let i = 0; i < chunks.length; i++) {
-                const chunkPath = chunks[i];
-                const partText = await transcribeAudio(chunkPath);
-                if (partText) {
-                  combined += partText + '\n';
-                } else {
-                  console.warn(`⚠️ Transcription failed for chunk #${i + 1}`);
-                }
-                // Clean up chunk as we go
-                await unlink(chunkPath).catch(console.error);
-              }
-              transcription = combined.trim();
-            } else {
-              console.warn('⚠️ No chunks were produced for fallback transcription.');
-            }
-          }
-        }
-
-        if (transcription) {
-          allTranscriptions += `**${user?.displayName || 'Unknown'}:**\n${transcription}\n\n`;
+        convertedTracks.push({ userId, user, mp3Path: mergedMp3Path });
+
+        // The aggregated file is silence-padded, so file offsets are meeting offsets.
+        // Whatever live mode already transcribed is reused, and only the rest is cut into chunks.
+        const speaker = user?.displayName || 'Unknown';
+        const fromMs = record.liveTranscribedMs || 0;
+        if (fromMs > 0) {
+          console.log(`🛰️ Reusing live transcript for ${userDisplayName}; transcribing from ${Math.round(fromMs / 1000)}s`);
+          chunks.push({
+            id: `${userId}_live`,
+            speakerId: userId,
+            speaker,
+            startMs: 0,
+            endMs: fromMs,
+            audioPath: null,
+            status: 'done',
+            attempts: 0,
+            error: null,
+            segments: record.liveSegments || [],
+          });
         }
-
-        // Clean up PCM files
+        chunks.push(...await prepareChunks({
+          guildId,
+          meetingId,
+          userId,
+          speaker,
+          pcmPath: mergedPcmPath,
+          fromMs,
+          bursts: recordingData.speakingBursts.get(userId),
+          sizeBytes: mergedSize,
+        }));
+
+        // The PCM files are removed once the transcription job is saved (see below)
         if (!useAggregatedDirectly) {
-          for (const { filePath } of files) {
-            await unlink(filePath).catch(console.error);
-          }
-          await unlink(mergedPcmPath).catch(console.error);
+          processedPcmPaths.push(...files.map(({ filePath }) => filePath), mergedPcmPath);
         } else {
-          // In aggregated mode, remove the source aggregated PCM now that we have MP3
-          await unlink(aggregatedPath).catch(console.error);
+          processedPcmPaths.push(aggregatedPath);
         }
       } catch (conversionError) {
         console.error(`Error converting merged recording:`, conversionError);
         failedProcessing++;
-        await interaction.followUp({
+        await send({
           content: `⚠️ Could not convert recording from ${user?.displayName || 'Unknown'}`,
         });
         // Continue to next user instead of stopping
@@ -618,102 +1282,308 @@ async function processRecordings(guildId, recordingData, interaction) {
   // Log processing summary
   console.log(`📊 Processing complete: ${successfulProcessing} successful, ${failedProcessing} failed`);
 
+  // Chunks that fail stay on disk with their state, to be retried later or with /minutes retry
+  const endTime = recordingData.endTime || Date.now();
+  const job = await createTranscriptionJob({
+    guildId,
+    meetingId,
+    chunks,
+    speakingBursts: Object.fromEntries(recordingData.speakingBursts),
+    recordingEndSeconds: (endTime - recordingData.startTime) / 1000,
+    redactedNames,
+  });
+
+  let audio = null;
+  try {
+    audio = await deliverMeetingAudio(guildId, recordingsDir, recordingData, convertedTracks, send);
+  } catch (audioError) {
+    console.error('Error delivering meeting audio:', audioError);
+  }
+
+  const participants = userRecordings.map(([userId, { user }]) => ({
+    id: userId,
+    name: user?.displayName || user?.user?.tag || userId,
+  }));
+
+  // Who talked how much, from the speaking events (and the audio actually received, when known)
+  let analytics = null;
+  try {
+    analytics = computeMeetingAnalytics({
+      speakingBursts: recordingData.speakingBursts,
+      participants,
+      durationMs: endTime - recordingData.startTime,
+      pauses: recordingData.pauses,
+      bytesByUser: new Map(userRecordings
+        .filter(([, record]) => record.bytesWritten !== undefined)
+        .map(([userId, record]) => [userId, record.bytesWritten])),
+    });
+  } catch (analyticsError) {
+    console.error('Error computing speaker analytics:', analyticsError);
+  }
+
+  // A provisional archive record and the job now hold everything needed to finish, so the raw tracks and the
+  // session manifest can go. If the bot stops before the minutes are posted, resumeMeetingProcessing finishes.
+  completingMeetings.add(meetingId);
+  try {
+    const meeting = await saveMeeting({
+      id: meetingId,
+      guildId,
+      channelId: recordingData.voiceChannel.id,
+      channelName: recordingData.voiceChannel.name,
+      textChannelId: recordingData.textChannelId,
+      resultsChannelId: results.channel.id,
+      minutesUrl: results.channel.url,
+      participants,
+      startTime: recordingData.startTime,
+      endTime,
+      duration: Math.floor((endTime - recordingData.startTime) / 1000),
+      transcript: '',
+      timeline: [],
+      summary: null,
+      audio,
+      pauses: recordingData.pauses || [],
+      analytics,
+      transcriptionGaps: 0,
+      processing: {
+        transcriptFormat: recordingData.transcriptFormat || 'markdown',
+        dmParticipants: results.dmParticipants,
+        failedRecordings: failedProcessing,
+      },
+    });
+    for (const pcmPath of processedPcmPaths) {
+      await unlink(pcmPath).catch(console.error);
+    }
+    await removeSessionManifest(guildId);
+
+    await completeMeeting(client, meeting, job, results.channel);
+  } finally {
+    completingMeetings.delete(meetingId);
+  }
+}
+
+// Transcribe what is left of a meeting, post the transcript and minutes, and complete its archive record
+async function completeMeeting(client, meeting, job, channel) {
+  const { guildId, id: meetingId, participants, processing } = meeting;
+  const send = (payload) => channel.send(payload);
+  await runTranscriptionJob(job);
+
+  const analyticsEmbeds = meeting.analytics ? [renderAnalyticsEmbed(meeting.analytics)] : [];
+  let analyticsPosted = false;
+
+  // Interleave every speaker's segments into a single "[mm:ss] Name: text" timeline, with failed chunks marked
+  const { timeline, gaps } = buildJobTimeline(job);
+  const allTranscriptions = renderTranscript(timeline);
+  let summary = null;
+  // Where the minutes start, for links back to them (/ask citations, webhooks)
+  let minutesUrl = channel.url;
+
   // Send transcriptions and summary even if some recordings failed
-  if (allTranscriptions) {
-    // const chunks = splitMessage(allTranscriptions, 1950); // Leave room for "📝 **Transcription:**\n" prefix
-    // for (let i = 0; i < chunks.length; i++) {
-    //   const prefix = i === 0 ? '📝 **Transcription:**\n' : '📝 **Transcription (continued):**\n';
-    //   await interaction.followUp({
-    //     content: `${prefix}${chunks[i]}`,
-    //   });
-    // }
+  if (timeline.some(entry => !entry.gap)) {
+    try {
+      const transcriptMessage = await send({
+        content: '📝 **Transcript:**',
+        files: buildTranscriptAttachments(timeline, meeting, processing.transcriptFormat),
+      });
+      minutesUrl = transcriptMessage.url;
+    } catch (transcriptError) {
+      console.error('Error sending transcript:', transcriptError);
+    }
+    if (gaps.length > 0) {
+      await send({
+        content: `⚠️ ${gaps.length} part(s) of the audio could not be transcribed and are marked as \`[not transcribed]\`. ` +
+          `They are retried automatically; use \`/minutes retry id:${meetingId}\` to try again now.`,
+      }).catch(console.error);
+    }
 
     // Generate and send summary
     try {
-      const summary = await summarizeText(allTranscriptions);
+      const guildConfig = await getGuildConfig(guildId);
+      summary = await summarizeText(allTranscriptions, {
+        ...guildConfig.summary,
+        participants,
+        meetingDate: meeting.startTime,
+      });
+      // The model may still bring up someone who is not being recorded
+      if (summary && job.redactedNames?.length > 0) summary = redactNamesDeep(summary, job.redactedNames);
       if (summary) {
-        // Split summary into chunks if it's too long
-        const summaryChunks = splitMessage(summary, 1950); // Leave room for "📊 **Summary:**\n" prefix
-        for (let i = 0; i < summaryChunks.length; i++) {
-          const prefix = i === 0 ? '📊 **Summary:**\n' : '📊 **Summary (continued):**\n';
-          await interaction.followUp({
-            content: `${prefix}${summaryChunks[i]}`,
+        // Embeds are limited per message, so long summaries span several messages
+        for (const embeds of groupEmbedsForMessages([...renderSummaryEmbeds(summary), ...analyticsEmbeds])) {
+          await send({ embeds });
+        }
+        analyticsPosted = true;
+
+        if (processing.dmParticipants) {
+          const guildName = client.guilds.cache.get(guildId)?.name || 'the server';
+          const delivered = await sendToParticipants(client, participants, {
+            content: `📋 Minutes of **${meeting.channelName}** in **${guildName}**: ${channel.url}`,
+            // A single message: the overview, with the rest a click away in the minutes channel
+            embeds: groupEmbedsForMessages(renderSummaryEmbeds(summary))[0],
           });
+          console.log(`✉️ Sent the minutes to ${delivered}/${participants.length} participant(s)`);
         }
       } else {
-        await interaction.followUp({
+        await send({
           content: '⚠️ Could not generate summary.',
         });
       }
     } catch (summaryError) {
       console.error('Error generating summary:', summaryError);
-      await interaction.followUp({
+      await send({
         content: '⚠️ Error generating summary.',
       });
     }
-  } else if (failedProcessing > 0) {
-    await interaction.followUp({
-      content: `⚠️ All ${failedProcessing} recording(s) failed to process. No transcriptions available.`,
+  } else if (processing.failedRecordings > 0) {
+    await send({
+      content: `⚠️ All ${processing.failedRecordings} recording(s) failed to process. No transcriptions available.`,
+    });
+  } else if (gaps.length > 0) {
+    await send({
+      content: `⚠️ None of the audio could be transcribed yet. It is retried automatically; use \`/minutes retry id:${meetingId}\` to try again now.`,
     });
   } else {
-    await interaction.followUp({
+    await send({
       content: '⚠️ No transcription could be generated from the recordings.',
     });
   }
+
+  // Without a summary to go with, the analytics are posted on their own
+  if (analyticsEmbeds.length > 0 && !analyticsPosted) {
+    await send({ embeds: analyticsEmbeds }).catch(console.error);
+  }
+
+  // Keep a record of the session so it can be browsed later with /minutes
+  try {
+    const saved = await saveMeeting({
+      ...meeting,
+      processing: undefined,
+      minutesUrl,
+      transcript: allTranscriptions,
+      timeline,
+      summary,
+      transcriptionGaps: gaps.length,
+    });
+    if (gaps.length === 0) await removeTranscriptionJob(guildId, meetingId);
+    await send({
+      content: `🗄️ Saved as meeting \`${saved.id}\`. Use \`/minutes show id:${saved.id}\` to see it again.`,
+    }).catch(console.error);
+
+    // Webhooks retry for a while, so they run in the background
+    dispatchMeeting(saved, { minutesUrl }).catch((error) => {
+      console.error('Error dispatching meeting to webhooks:', error);
+    });
+  } catch (archiveError) {
+    console.error('Error archiving meeting:', archiveError);
+  }
 }
 
-function splitMessage(text, maxLength = 2000) {
-  const chunks = [];
-  let currentChunk = '';
-
-  const lines = text.split('\n');
-  for (const line of lines) {
-    // If a single line is longer than maxLength, split it by words
-    if (line.length > maxLength) {
-      // First, add current chunk if it has content
-      if (currentChunk) {
-        chunks.push(currentChunk);
-        currentChunk = '';
-      }
-      
-      // Split long line by words
-      const words = line.split(' ');
-      let tempLine = '';
-      for (const word of words) {
-        if ((tempLine + word + ' ').length > maxLength) {
-          if (tempLine) {
-            chunks.push(tempLine.trim());
-            tempLine = word + ' ';
-          } else {
-            // Single word longer than maxLength, force split
-            chunks.push(word.substring(0, maxLength));
-            tempLine = word.substring(maxLength) + ' ';
-          }
-        } else {
-          tempLine += word + ' ';
-        }
-      }
-      if (tempLine) {
-        currentChunk = tempLine.trim() + '\n';
-      }
-    } else if ((currentChunk + line + '\n').length > maxLength) {
-      if (currentChunk) chunks.push(currentChunk.trim());
-      currentChunk = line + '\n';
+/**
+ * Finish a meeting whose processing was cut short (e.g. by a restart) after its transcription job was saved:
+ * transcribe what is left, then post the results and complete its archive record
+ * @param {import('discord.js').Client} client - Logged-in client
+ * @param {object} meeting - Provisional archive record (with `processing` set)
+ * @param {object} job - The meeting's transcription job
+ */
+export async function resumeMeetingProcessing(client, meeting, job) {
+  if (completingMeetings.has(meeting.id)) return;
+  completingMeetings.add(meeting.id);
+  try {
+    const channel = await client.channels.fetch(meeting.resultsChannelId).catch(() => null)
+      || await client.channels.fetch(meeting.textChannelId).catch(() => null);
+    if (!channel?.isTextBased()) {
+      console.warn(`⚠️ Cannot reach the results channel of meeting ${meeting.id} in guild ${meeting.guildId}`);
+      return;
+    }
+    console.log(`♻️ Resuming the processing of meeting ${meeting.id}`);
+    await channel.send({
+      content: `♻️ The bot restarted while processing the recording of **${meeting.channelName}** from ` +
+        `<t:${Math.floor(meeting.startTime / 1000)}:f>. Finishing it now...`,
+    }).catch(console.error);
+    await completeMeeting(client, meeting, job, channel);
+  } finally {
+    completingMeetings.delete(meeting.id);
+  }
+}
+
+// Render the transcript in the format(s) chosen with /record stop format:<...>
+function buildTranscriptAttachments(timeline, meeting, transcriptFormat) {
+  const formats = transcriptFormat === 'all' ? TRANSCRIPT_FORMATS : [transcriptFormat || 'markdown'];
+  const startedAt = new Date(meeting.startTime);
+  const title = `${meeting.channelName} — ${startedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  const baseName = `transcript_${startedAt.toISOString().slice(0, 16).replace(/[:T]/g, '-')}`;
+
+  return formats.map((format) => {
+    const { name, content } = renderTranscriptFile(timeline, format, { title, baseName });
+    return new AttachmentBuilder(Buffer.from(content, 'utf8'), { name });
+  });
+}
+
+// Mix every user's track into one meeting file, then attach it or link it through the HTTP server.
+// Returns where the audio was stored (paths relative to the working directory) for the archive.
+async function deliverMeetingAudio(guildId, recordingsDir, recordingData, tracks, send) {
+  if (tracks.length === 0) return null;
+
+  const { token, dir } = await createShareDir(recordingsDir);
+  const startedAt = new Date(recordingData.startTime).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+  const mixPath = await mixdownTracks(tracks.map(t => t.mp3Path), dir, `meeting_${startedAt}`);
+
+  const shared = [];
+  const audio = {
+    shareToken: token,
+    shareDir: path.relative(process.cwd(), dir),
+    mixdown: mixPath ? path.relative(process.cwd(), mixPath) : null,
+    stems: [],
+  };
+  if (mixPath) shared.push({ label: '🎧 Full meeting (all speakers)', filePath: mixPath });
+
+  // Keep the stems when asked to, or when they are all we have left
+  const keepStems = recordingData.keepStems || !mixPath;
+  for (const { userId, user, mp3Path } of tracks) {
+    if (keepStems) {
+      const safeName = (user?.displayName || 'user').replace(/[^\w.-]+/g, '_');
+      const stemPath = path.join(dir, `${safeName}_${userId}.mp3`);
+      await rename(mp3Path, stemPath);
+      shared.push({ label: `🎵 ${user?.displayName || 'Unknown'}`, filePath: stemPath });
+      audio.stems.push({ userId, name: user?.displayName || 'Unknown', path: path.relative(process.cwd(), stemPath) });
     } else {
-      currentChunk += line + '\n';
+      await unlink(mp3Path).catch(console.error);
+    }
+  }
+
+  if (shared.length === 0) return audio;
+
+  const files = [];
+  const lines = [];
+  let attachedBytes = 0;
+  for (const { label, filePath } of shared) {
+    const { size } = await stat(filePath);
+    // The upload limit applies to the whole message, not just each file
+    if (attachedBytes + size <= DISCORD_UPLOAD_LIMIT_BYTES) {
+      files.push(filePath);
+      attachedBytes += size;
+      lines.push(`${label} (attached)`);
+      continue;
     }
+    const fileName = path.basename(filePath);
+    const url = getShareUrl(guildId, token, fileName);
+    const sizeMB = (size / (1024 * 1024)).toFixed(1);
+    lines.push(url
+      ? `${label}: ${url} (${sizeMB} MB)`
+      : `${label}: too large to attach (${sizeMB} MB), stored on the bot host as \`recordings/${guildId}/${token}/${fileName}\``);
   }
 
-  if (currentChunk) chunks.push(currentChunk.trim());
-  return chunks;
+  if (!mixPath) lines.unshift('⚠️ Could not create the mixed recording, sharing individual tracks instead.');
+
+  await send({ content: lines.join('\n'), files });
+  return audio;
 }
 
-// Finalize a single user's recording (called when they leave or when stopping)
+// Finalize a single user's recording before it is discarded (stopping closes every track at once)
 async function finalizeUserRecording(guildId, userId, recordingData) {
   const streamData = recordingData.audioStreams.get(userId);
   if (!streamData) return;
 
-  const { writeStream, stream: audioStream, user, decoder } = streamData;
+  const { writeStream, stream: audioStream, user, decoder, padder } = streamData;
+  padder?.stopPadding();
 
   // Clear flush interval for this user
   const flushInterval = recordingData.flushIntervals?.get(userId);
@@ -742,29 +1612,3 @@ async function finalizeUserRecording(guildId, userId, recordingData) {
   });
 }
 
-// Split an audio file into smaller chunks to avoid large upload failures
-async function splitAudioIntoChunks(inputPath, recordingsDir, userId, segmentSeconds = 120) {
-  try {
-    const baseName = path.basename(inputPath, path.extname(inputPath));
-    const outPattern = path.join(recordingsDir, `${baseName}_part_%03d.mp3`);
-
-    console.log(`🔪 Segmenting audio into ~${segmentSeconds}s chunks for user ${userId}...`);
-    // Use ffmpeg segment muxer; reset timestamps for each part
-  const cmd = `"${resolvedFfmpegPath}" -y -i "${inputPath}" -c copy -f segment -segment_time ${segmentSeconds} -reset_timestamps 1 "${outPattern}"`;
-  const { stderr } = await execAsync(cmd, { timeout: 120000, maxBuffer: 10 * 1024 * 1024 });
-    if (stderr) console.log('FFmpeg segment output:', stderr);
-
-    // Collect produced chunks (part_000.mp3, part_001.mp3, ...). We'll probe up to 999 just in case.
-    const produced = [];
-    for (let i = 0; i < 999; i++) {
-      const candidate = path.join(recordingsDir, `${baseName}_part_${String(i).padStart(3, '0')}.mp3`);
-      if (existsSync(candidate)) produced.push(candidate);
-      else if (i > 0) break; // stop when first missing after at least one found
-    }
-    console.log(`✅ Created ${produced.length} chunk(s) for transcription fallback.`);
-    return produced;
-  } catch (err) {
-    console.error('Error segmenting audio for chunked transcription:', err);
-    return [];
-  }
-}
@@ -0,0 +1,195 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import path from 'path';
+import { config } from 'dotenv';
+import { listMeetings, listArchivedGuildIds, findMeeting } from '../services/archive.js';
+import { getRecordingStates, getRecordingInfo, finishRecording } from '../commands/voice.js';
+import { TRANSCRIPT_FORMATS } from '../utils/transcript-formats.js';
+import { sendFile } from './files.js';
+
+config();
+
+// The API is off unless a token is configured
+const API_TOKEN = process.env.API_TOKEN;
+const MAX_BODY_BYTES = 64 * 1024;
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+const SNOWFLAKE_PATTERN = /^\d+$/;
+
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json) });
+  res.end(json);
+}
+
+// Hashing first makes the comparison constant-time regardless of the token length
+function isAuthorized(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!match) return false;
+  const given = createHash('sha256').update(match[1]).digest();
+  const expected = createHash('sha256').update(API_TOKEN).digest();
+  return timingSafeEqual(given, expected);
+}
+
+async function readJsonBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw Object.assign(new Error('Request body too large'), { status: 413 });
+    chunks.push(chunk);
+  }
+  if (size === 0) return {};
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw Object.assign(new Error('Request body must be JSON'), { status: 400 });
+  }
+}
+
+// What a listing shows of each meeting; the full record is at /meetings/:id
+function describeMeeting(meeting) {
+  return {
+    id: meeting.id,
+    guildId: meeting.guildId,
+    channelId: meeting.channelId,
+    channelName: meeting.channelName,
+    startTime: meeting.startTime,
+    endTime: meeting.endTime,
+    duration: meeting.duration,
+    participants: meeting.participants,
+    hasSummary: Boolean(meeting.summary),
+    hasAudio: Boolean(meeting.audio?.mixdown),
+  };
+}
+
+// Local file paths stay on the server; audio is offered through /meetings/:id/audio instead
+function publicMeeting(meeting) {
+  const { audio, ...rest } = meeting;
+  return {
+    ...rest,
+    audio: {
+      mixdown: audio?.mixdown ? `/meetings/${meeting.id}/audio` : null,
+      stems: (audio?.stems || []).map(({ userId, name }) => ({ userId, name, url: `/meetings/${meeting.id}/audio?stem=${userId}` })),
+    },
+  };
+}
+
+async function listAllMeetings(url) {
+  const guildId = url.searchParams.get('guildId');
+  const limit = Math.min(Number(url.searchParams.get('limit')) || DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT);
+  if (guildId && !SNOWFLAKE_PATTERN.test(guildId)) return { status: 400, body: { error: 'Invalid guildId' } };
+
+  const guildIds = guildId ? [guildId] : await listArchivedGuildIds();
+  const meetings = [];
+  for (const id of guildIds) meetings.push(...await listMeetings(id, { limit }));
+  meetings.sort((a, b) => b.startTime - a.startTime);
+  return { status: 200, body: { meetings: meetings.slice(0, limit).map(describeMeeting) } };
+}
+
+async function serveMeetingAudio(req, res, meeting, url) {
+  const stemId = url.searchParams.get('stem');
+  const relativePath = stemId
+    ? meeting.audio?.stems?.find(stem => stem.userId === stemId)?.path
+    : meeting.audio?.mixdown;
+  const sent = relativePath && await sendFile(req, res, path.resolve(relativePath), {
+    fileName: `${meeting.id}${stemId ? `_${stemId}` : ''}${path.extname(relativePath)}`,
+  });
+  if (!sent) sendJson(res, 404, { error: 'No audio for this meeting' });
+}
+
+async function stopRecordingRequest(req, res, guildId, client) {
+  const info = getRecordingInfo(guildId);
+  if (!info) return sendJson(res, 404, { error: 'Not recording in this guild' });
+
+  const body = (await readJsonBody(req)) ?? {};
+  if (typeof body !== 'object' || Array.isArray(body)) {
+    return sendJson(res, 400, { error: 'Request body must be a JSON object' });
+  }
+  const { stems = false, format = 'markdown' } = body;
+  if (format !== 'all' && !TRANSCRIPT_FORMATS.includes(format)) {
+    return sendJson(res, 400, { error: `format must be one of ${[...TRANSCRIPT_FORMATS, 'all'].join(', ')}` });
+  }
+
+  console.log(`🔌 Stopping the recording of guild ${guildId} through the API`);
+  let result;
+  try {
+    result = await finishRecording(guildId, { keepStems: Boolean(stems), transcriptFormat: format });
+  } catch (error) {
+    if (error.alreadyStopping) return sendJson(res, 409, { error: 'The recording is already being stopped' });
+    throw error;
+  }
+
+  const channel = await client.channels.fetch(info.textChannelId).catch(() => null);
+  await channel?.send({
+    content: `⏹️ Recording stopped through the API. Duration: ${result.duration}s` +
+      (result.hasAudio ? `\n📁 Processing recordings... the results will be posted in <#${result.resultsChannelId}>.` : ''),
+  }).catch(console.error);
+
+  return sendJson(res, 200, result);
+}
+
+/**
+ * Handle a request to the REST API, if it is one:
+ * - GET /meetings[?guildId=&limit=] - Archived meetings, newest first
+ * - GET /meetings/:id - Metadata, transcript, summary and analytics of one meeting
+ * - GET /meetings/:id/audio[?stem=<userId>] - The meeting recording (or one participant's track), with Range support
+ * - GET /recordings[/:guildId] - Recordings in progress
+ * - POST /recordings/:guildId/stop - Stop a recording; optional JSON body {stems, format}
+ * Every request needs "Authorization: Bearer <API_TOKEN>".
+ * @param {import('http').IncomingMessage} req - Request
+ * @param {import('http').ServerResponse} res - Response
+ * @param {import('discord.js').Client} client - Discord client, to announce stops
+ * @returns {Promise<boolean>} - False if the URL is not an API route (nothing was sent)
+ */
+export async function handleApiRequest(req, res, client) {
+  const url = new URL(req.url, 'http://localhost');
+  const parts = url.pathname.split('/').filter(Boolean);
+  if (!API_TOKEN || !['meetings', 'recordings'].includes(parts[0])) return false;
+
+  if (!isAuthorized(req)) {
+    res.writeHead(401, { 'WWW-Authenticate': 'Bearer' });
+    res.end();
+    return true;
+  }
+
+  try {
+    const [resource, id, action] = parts;
+    const route = `${req.method} ${resource}${id ? '/:id' : ''}${action ? `/${action}` : ''}`;
+
+    switch (route) {
+      case 'GET meetings': {
+        const { status, body } = await listAllMeetings(url);
+        sendJson(res, status, body);
+        break;
+      }
+      case 'GET meetings/:id':
+      case 'GET meetings/:id/audio': {
+        const meeting = await findMeeting(id);
+        if (!meeting) sendJson(res, 404, { error: 'Meeting not found' });
+        else if (action) await serveMeetingAudio(req, res, meeting, url);
+        else sendJson(res, 200, publicMeeting(meeting));
+        break;
+      }
+      case 'GET recordings':
+        sendJson(res, 200, getRecordingStates());
+        break;
+      case 'GET recordings/:id': {
+        const recording = getRecordingStates().recordings.find(state => state.guildId === id);
+        if (recording) sendJson(res, 200, recording);
+        else sendJson(res, 404, { error: 'Not recording in this guild' });
+        break;
+      }
+      case 'POST recordings/:id/stop':
+        if (!SNOWFLAKE_PATTERN.test(id)) sendJson(res, 400, { error: 'Invalid guild ID' });
+        else await stopRecordingRequest(req, res, id, client);
+        break;
+      default:
+        sendJson(res, 404, { error: 'Not found' });
+    }
+  } catch (error) {
+    if (!error.status) console.error('Error handling API request:', error);
+    if (!res.headersSent) sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal error' });
+    else res.end();
+  }
+  return true;
+}
@@ -0,0 +1,97 @@
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import path from 'path';
+import { SHARE_TOKEN_PATTERN } from '../services/audio.js';
+
+const CONTENT_TYPES = {
+  '.ogg': 'audio/ogg',
+  '.mp3': 'audio/mpeg',
+};
+
+// A single "bytes=start-end", "bytes=start-" or "bytes=-suffix" range; anything else is served whole
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  return start <= end && start < size ? { start, end } : { unsatisfiable: true };
+}
+
+/**
+ * Send a file, honoring a Range header so players can seek and downloads can resume
+ * @param {import('http').IncomingMessage} req - Request
+ * @param {import('http').ServerResponse} res - Response
+ * @param {string} filePath - File to send
+ * @param {object} [options]
+ * @param {string} [options.fileName] - Name offered to the browser (defaults to the file's own)
+ * @returns {Promise<boolean>} - False if the file does not exist (nothing was sent)
+ */
+export async function sendFile(req, res, filePath, { fileName = path.basename(filePath) } = {}) {
+  const info = await stat(filePath).catch(() => null);
+  if (!info || !info.isFile()) return false;
+
+  const headers = {
+    'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename="${fileName.replace(/[^\x20-\x7e]|"/g, '_')}"`,
+    'Accept-Ranges': 'bytes',
+  };
+
+  const range = parseRange(req.headers.range, info.size);
+  if (range?.unsatisfiable) {
+    res.writeHead(416, { 'Content-Range': `bytes */${info.size}` });
+    res.end();
+    return true;
+  }
+  if (range) {
+    res.writeHead(206, {
+      ...headers,
+      'Content-Length': range.end - range.start + 1,
+      'Content-Range': `bytes ${range.start}-${range.end}/${info.size}`,
+    });
+    createReadStream(filePath, { start: range.start, end: range.end }).pipe(res);
+    return true;
+  }
+
+  res.writeHead(200, { ...headers, 'Content-Length': info.size });
+  createReadStream(filePath).pipe(res);
+  return true;
+}
+
+/**
+ * Serve a file from a share directory (recordings/<guildId>/<token>/<file>).
+ * Only files inside a share directory can be reached; the random token is what
+ * keeps them private.
+ * @param {import('http').IncomingMessage} req - Request
+ * @param {import('http').ServerResponse} res - Response
+ * @param {string} guildId - Guild ID from the URL
+ * @param {string} token - Share token from the URL
+ * @param {string} rawFileName - URL-encoded file name
+ */
+export async function serveSharedFile(req, res, guildId, token, rawFileName) {
+  let fileName;
+  try {
+    fileName = decodeURIComponent(rawFileName);
+  } catch {
+    fileName = '';
+  }
+
+  const isSafeName = fileName && path.basename(fileName) === fileName && !fileName.startsWith('.');
+  if (!/^\d+$/.test(guildId) || !SHARE_TOKEN_PATTERN.test(token) || !isSafeName) {
+    res.statusCode = 404;
+    return res.end();
+  }
+
+  const filePath = path.join(process.cwd(), 'recordings', guildId, token, fileName);
+  if (!(await sendFile(req, res, filePath))) {
+    res.statusCode = 404;
+    res.end();
+  }
+}
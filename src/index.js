@@ -5,8 +5,22 @@ import { Client, GatewayIntentBits } from 'discord.js';
 import { getVoiceConnections } from '@discordjs/voice';
 import http from 'http';
 import { config } from 'dotenv';
-import { registerCommands } from './commands/register.js';
-import { handleVoiceCommand } from './commands/voice.js';
+import { registerCommands, registerGuildCommands, getCommandScope } from './commands/register.js';
+import {
+  handleVoiceCommand,
+  recoverUnfinishedSessions,
+  resumeMeetingProcessing,
+  handleRecoveryButton,
+  handleConsentButton,
+} from './commands/voice.js';
+import { setupAutoRecording } from './commands/auto-record.js';
+import { handleMinutesCommand } from './commands/minutes.js';
+import { handleMinutesConfigCommand } from './commands/minutes-config.js';
+import { handleAskCommand } from './commands/ask.js';
+import { setupTranscriptionRetries } from './services/transcription-jobs.js';
+import { serveSharedFile } from './http/files.js';
+import { handleApiRequest } from './http/api.js';
+import { renderMetrics, createGauge } from './services/metrics.js';
 
 config();
 
@@ -15,14 +29,48 @@ config();
 // responds 200 on /health to indicate the process is alive. It is intentionally
 // tiny and does not expose any sensitive information.
 const port = process.env.PORT ? Number(process.env.PORT) : 3000;
+
+// /health only says the process is alive; /ready also needs a live gateway session and registered commands
+let commandsRegistered = false;
+createGauge('minutes_discord_ready', 'Whether the Discord gateway session is ready (1) or not (0)', () => (client.isReady() ? 1 : 0));
+
 const server = http.createServer((req, res) => {
-  if (req.url === '/health') {
+  // Match on the path alone so probes and scrapers may add a query string
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname === '/health') {
     res.writeHead(200, { 'Content-Type': 'text/plain' });
     return res.end('OK');
   }
-  // Return 404 for anything else to avoid exposing endpoints unintentionally
-  res.statusCode = 404;
-  res.end();
+  if (pathname === '/ready') {
+    const checks = { discord: client.isReady(), commands: commandsRegistered };
+    const ready = Object.values(checks).every(Boolean);
+    res.writeHead(ready ? 200 : 503, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ ready, ...checks }));
+  }
+  if (pathname === '/metrics') {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    return res.end(renderMetrics());
+  }
+  // Mixdowns and stems too large for a Discord attachment are linked from here
+  const fileMatch = req.method === 'GET' && req.url.match(/^\/files\/([^/]+)\/([^/]+)\/([^/?]+)$/);
+  if (fileMatch) {
+    return serveSharedFile(req, res, fileMatch[1], fileMatch[2], fileMatch[3]).catch((error) => {
+      console.error('Error serving shared file:', error);
+      if (!res.headersSent) res.statusCode = 500;
+      res.end();
+    });
+  }
+  // Authenticated REST API for dashboards and scripts (off unless API_TOKEN is set);
+  // return 404 for anything else to avoid exposing endpoints unintentionally
+  handleApiRequest(req, res, client).then((handled) => {
+    if (handled) return;
+    res.statusCode = 404;
+    res.end();
+  }).catch((error) => {
+    console.error('Error handling HTTP request:', error);
+    if (!res.headersSent) res.statusCode = 500;
+    res.end();
+  });
 });
 
 server.listen(port, () => {
@@ -46,13 +94,47 @@ client.once('ready', async () => {
     console.log(`🧹 Cleaning up ${connections.size} stale voice connection(s)...`);
     connections.forEach(conn => conn.destroy());
   }
+
+  // Offer to process recordings that were cut short by a crash or redeploy
+  await recoverUnfinishedSessions(client).catch((error) => {
+    console.error('Error recovering unfinished recordings:', error);
+  });
+
+  // Join and leave on per-server rules and schedules
+  setupAutoRecording(client);
+
+  // Finish meetings interrupted mid-transcription and retry chunks that failed
+  setupTranscriptionRetries((meeting, job) => resumeMeetingProcessing(client, meeting, job));
   
-  console.log('🔧 Registering commands...');
-  await registerCommands();
-  console.log('✅ Commands registered successfully!');
+  console.log(`🔧 Registering commands for ${client.guilds.cache.size} server(s)...`);
+  if (await registerCommands(client)) {
+    console.log('✅ Commands registered successfully!');
+    commandsRegistered = true;
+  }
+});
+
+// Servers added after startup need their own commands when registering per guild
+client.on('guildCreate', async (guild) => {
+  console.log(`➕ Joined guild ${guild.name} (${guild.id})`);
+  if (getCommandScope() === 'guilds') {
+    await registerGuildCommands(guild.id, client);
+  }
 });
 
 client.on('interactionCreate', async (interaction) => {
+  if (interaction.isButton()) {
+    if (interaction.customId.startsWith('recovery:')) {
+      await handleRecoveryButton(interaction).catch((error) => {
+        console.error('Error handling recovery button:', error);
+      });
+    } else if (interaction.customId.startsWith('consent:')) {
+      await handleConsentButton(interaction).catch((error) => {
+        console.error('Error handling consent button:', error);
+      });
+    }
+    return;
+  }
+
   if (!interaction.isChatInputCommand()) return;
 
   const { commandName } = interaction;
@@ -67,6 +149,15 @@ client.on('interactionCreate', async (interaction) => {
       case 'record':
         await handleVoiceCommand(interaction);
         break;
+      case 'minutes':
+        await handleMinutesCommand(interaction);
+        break;
+      case 'minutes-config':
+        await handleMinutesConfigCommand(interaction);
+        break;
+      case 'ask':
+        await handleAskCommand(interaction);
+        break;
       default:
         await interaction.editReply('Unknown command!');
     }
@@ -0,0 +1,135 @@
+import { mkdir, readFile, writeFile, readdir, rename, unlink, rm, stat } from 'fs/promises';
+import { randomBytes } from 'crypto';
+import path from 'path';
+import { DATA_DIR } from '../utils/paths.js';
+
+// Meetings are stored as one JSON file each: <DATA_DIR>/meetings/<guildId>/<meetingId>.json
+const MEETINGS_DIR = path.join(DATA_DIR, 'meetings');
+const MEETING_ID_PATTERN = /^[a-z0-9]+$/;
+
+function meetingPath(guildId, meetingId) {
+  return path.join(MEETINGS_DIR, guildId, `${meetingId}.json`);
+}
+
+/**
+ * Generate a short meeting ID that is easy to type into a slash command
+ * @param {number} startTime - Recording start (epoch ms)
+ * @returns {string} - Meeting ID
+ */
+export function createMeetingId(startTime) {
+  return `${Math.floor(startTime / 1000).toString(36)}${randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Save a meeting record (overwrites any previous version with the same ID)
+ * @param {object} meeting - Meeting record; must contain `id` and `guildId`
+ * @returns {Promise<object>} - The saved meeting
+ */
+export async function saveMeeting(meeting) {
+  const filePath = meetingPath(meeting.guildId, meeting.id);
+  await mkdir(path.dirname(filePath), { recursive: true });
+
+  // Write to a temp file first so a crash never leaves a half-written record
+  const tmpPath = `${filePath}.tmp`;
+  await writeFile(tmpPath, JSON.stringify(meeting, null, 2));
+  await rename(tmpPath, filePath);
+
+  console.log(`🗄️ Archived meeting ${meeting.id} for guild ${meeting.guildId}`);
+  return meeting;
+}
+
+/**
+ * Load a single meeting
+ * @param {string} guildId - Guild ID
+ * @param {string} meetingId - Meeting ID
+ * @returns {Promise<object|null>} - Meeting record, or null if it does not exist
+ */
+export async function getMeeting(guildId, meetingId) {
+  if (!MEETING_ID_PATTERN.test(meetingId)) return null;
+  try {
+    return JSON.parse(await readFile(meetingPath(guildId, meetingId), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Error reading meeting ${meetingId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * IDs of every guild with archived meetings
+ * @returns {Promise<string[]>} - Guild IDs
+ */
+export async function listArchivedGuildIds() {
+  const entries = await readdir(MEETINGS_DIR, { withFileTypes: true }).catch(() => []);
+  return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+}
+
+/**
+ * Find a meeting by ID without knowing its guild
+ * @param {string} meetingId - Meeting ID
+ * @returns {Promise<object|null>} - Meeting record, or null if it does not exist
+ */
+export async function findMeeting(meetingId) {
+  if (!MEETING_ID_PATTERN.test(meetingId)) return null;
+  for (const guildId of await listArchivedGuildIds()) {
+    const meeting = await getMeeting(guildId, meetingId);
+    if (meeting) return meeting;
+  }
+  return null;
+}
+
+/**
+ * List a guild's meetings, newest first
+ * @param {string} guildId - Guild ID
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum number of meetings to return
+ * @returns {Promise<object[]>} - Meeting records
+ */
+export async function listMeetings(guildId, { limit } = {}) {
+  const dir = path.join(MEETINGS_DIR, guildId);
+  const files = await readdir(dir).catch(() => []);
+
+  const meetings = [];
+  for (const file of files) {
+    if (!file.endsWith('.json')) continue;
+    const meeting = await getMeeting(guildId, path.basename(file, '.json'));
+    if (meeting) meetings.push(meeting);
+  }
+
+  meetings.sort((a, b) => b.startTime - a.startTime);
+  return limit ? meetings.slice(0, limit) : meetings;
+}
+
+/**
+ * A string that changes whenever a meeting of the guild is saved or deleted, to tell when data derived
+ * from the archive (such as the search index) is out of date
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<string>} - Version
+ */
+export async function getArchiveVersion(guildId) {
+  const dir = path.join(MEETINGS_DIR, guildId);
+  const files = (await readdir(dir).catch(() => [])).filter(file => file.endsWith('.json')).sort();
+  const parts = await Promise.all(files.map(async (file) => {
+    const { mtimeMs } = await stat(path.join(dir, file)).catch(() => ({ mtimeMs: 0 }));
+    return `${file}@${mtimeMs}`;
+  }));
+  return parts.join('|');
+}
+
+/**
+ * Delete a meeting together with its archived audio
+ * @param {string} guildId - Guild ID
+ * @param {string} meetingId - Meeting ID
+ * @returns {Promise<boolean>} - Whether a meeting was deleted
+ */
+export async function deleteMeeting(guildId, meetingId) {
+  const meeting = await getMeeting(guildId, meetingId);
+  if (!meeting) return false;
+
+  if (meeting.audio?.shareDir) {
+    await rm(path.resolve(meeting.audio.shareDir), { recursive: true, force: true }).catch(console.error);
+  }
+  await unlink(meetingPath(guildId, meetingId));
+
+  console.log(`🗑️ Deleted meeting ${meetingId} for guild ${guildId}`);
+  return true;
+}
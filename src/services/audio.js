@@ -0,0 +1,150 @@
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { randomBytes } from 'crypto';
+import { existsSync } from 'fs';
+import { mkdir, stat, open } from 'fs/promises';
+import path from 'path';
+import ffmpegStatic from 'ffmpeg-static';
+import { config } from 'dotenv';
+import { PCM_SAMPLE_RATE, PCM_CHANNELS, PCM_BYTES_PER_SAMPLE_FRAME } from '../utils/pcm.js';
+import { createHistogram } from './metrics.js';
+
+config();
+
+const execAsync = promisify(exec);
+
+// Resolve ffmpeg binary: prefer FFMPEG_PATH env, then system binary, else bundled static
+export const resolvedFfmpegPath = (() => {
+  if (process.env.FFMPEG_PATH && existsSync(process.env.FFMPEG_PATH)) return process.env.FFMPEG_PATH;
+  // Common system path inside Debian slim image
+  const systemPath = '/usr/bin/ffmpeg';
+  if (existsSync(systemPath)) return systemPath;
+  return ffmpegStatic; // fall back to static module binary
+})();
+console.log(`🎬 Using ffmpeg binary: ${resolvedFfmpegPath}`);
+
+// How long each kind of ffmpeg run takes (label `operation`: convert, mixdown, slice, segment)
+export const ffmpegDuration = createHistogram('minutes_ffmpeg_duration_seconds', 'Duration of ffmpeg runs');
+
+// Transcoding tunables (override via env)
+export const MP3_BITRATE_K = Number(process.env.MP3_BITRATE_K || 96); // kbps; 96 is good for voice
+
+const MIXDOWN_FORMAT = (process.env.MIXDOWN_FORMAT || 'ogg').toLowerCase() === 'mp3' ? 'mp3' : 'ogg';
+const MIXDOWN_BITRATE_K = Number(process.env.MIXDOWN_BITRATE_K || (MIXDOWN_FORMAT === 'ogg' ? 48 : 96));
+
+// Discord's default attachment limit for bots in servers without boosts
+export const DISCORD_UPLOAD_LIMIT_BYTES = Number(process.env.DISCORD_UPLOAD_LIMIT_MB || 10) * 1024 * 1024;
+
+// Shared files live under recordings/<guildId>/<token>/ and are served by the HTTP server
+const SHARE_TOKEN_BYTES = 16;
+export const SHARE_TOKEN_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * Mix several time-aligned tracks into a single file
+ * @param {string[]} inputPaths - Audio files that all start at the recording start
+ * @param {string} outputDir - Directory for the mixed file
+ * @param {string} baseName - File name without extension
+ * @returns {Promise<string|null>} - Path to the mixed file, or null on failure
+ */
+export async function mixdownTracks(inputPaths, outputDir, baseName) {
+  if (inputPaths.length === 0) return null;
+
+  const outputPath = path.join(outputDir, `${baseName}.${MIXDOWN_FORMAT}`);
+  const inputs = inputPaths.map((p) => `-i "${p}"`).join(' ');
+  // amix would otherwise scale every input down by 1/N; the limiter catches clipping from overlaps instead
+  const filter = inputPaths.length > 1
+    ? `-filter_complex "amix=inputs=${inputPaths.length}:duration=longest:dropout_transition=0:normalize=0,alimiter=limit=0.95"`
+    : '';
+  const codec = MIXDOWN_FORMAT === 'ogg'
+    ? `-c:a libopus -b:a ${MIXDOWN_BITRATE_K}k -application voip`
+    : `-c:a libmp3lame -b:a ${MIXDOWN_BITRATE_K}k`;
+
+  const endTimer = ffmpegDuration.startTimer({ operation: 'mixdown' });
+  try {
+    console.log(`🎚️ Mixing ${inputPaths.length} track(s) into ${path.basename(outputPath)}...`);
+    const { stderr } = await execAsync(
+      `"${resolvedFfmpegPath}" -y ${inputs} ${filter} -ac 2 ${codec} "${outputPath}"`,
+      { timeout: 600000, maxBuffer: 20 * 1024 * 1024 }
+    );
+    if (stderr && stderr.includes('error')) {
+      console.warn('FFmpeg mixdown warnings:', stderr);
+    }
+
+    const { size } = await stat(outputPath).catch(() => ({ size: 0 }));
+    if (size === 0) throw new Error('Mixdown produced empty file');
+
+    console.log(`✅ Mixdown ready: ${(size / 1024).toFixed(2)} KB`);
+    return outputPath;
+  } catch (error) {
+    console.error('Error mixing recordings:', error);
+    return null;
+  } finally {
+    endTimer();
+  }
+}
+
+/**
+ * Create a directory with an unguessable name for files that may be linked publicly
+ * @param {string} recordingsDir - The guild's recordings directory
+ * @returns {Promise<{token: string, dir: string}>}
+ */
+export async function createShareDir(recordingsDir) {
+  const token = randomBytes(SHARE_TOKEN_BYTES).toString('hex');
+  const dir = path.join(recordingsDir, token);
+  await mkdir(dir, { recursive: true });
+  return { token, dir };
+}
+
+/**
+ * Public URL of a shared file, if the bot knows where it is reachable
+ * @param {string} guildId - Guild ID
+ * @param {string} token - Share directory token
+ * @param {string} fileName - File name inside the share directory
+ * @returns {string|null} - URL, or null when PUBLIC_BASE_URL is not configured
+ */
+export function getShareUrl(guildId, token, fileName) {
+  const baseUrl = process.env.PUBLIC_BASE_URL;
+  if (!baseUrl) return null;
+  return `${baseUrl.replace(/\/+$/, '')}/files/${guildId}/${token}/${encodeURIComponent(fileName)}`;
+}
+
+/**
+ * Encode a byte range of a raw PCM file (s16le, stereo, 48kHz) to MP3.
+ * The range is piped to ffmpeg, so the source may still be growing.
+ * @param {string} pcmPath - Raw PCM file
+ * @param {number} startByte - First byte (inclusive)
+ * @param {number} endByte - Last byte (exclusive)
+ * @param {string} outputPath - MP3 file to write
+ * @returns {Promise<boolean>} - Whether a non-empty MP3 was written
+ */
+export async function encodePcmRangeToMp3(pcmPath, startByte, endByte, outputPath) {
+  // Keep whole sample frames so channels never swap
+  const start = startByte - (startByte % PCM_BYTES_PER_SAMPLE_FRAME);
+  const length = Math.max(0, endByte - start - ((endByte - start) % PCM_BYTES_PER_SAMPLE_FRAME));
+  if (length === 0) return false;
+
+  const handle = await open(pcmPath, 'r');
+  let pcm;
+  try {
+    pcm = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(pcm, 0, length, start);
+    pcm = pcm.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+  if (pcm.length === 0) return false;
+
+  const endTimer = ffmpegDuration.startTimer({ operation: 'slice' });
+  await new Promise((resolve, reject) => {
+    const child = exec(
+      `"${resolvedFfmpegPath}" -y -f s16le -ar ${PCM_SAMPLE_RATE} -ac ${PCM_CHANNELS} -i pipe:0 -b:a ${MP3_BITRATE_K}k "${outputPath}"`,
+      { timeout: 120000, maxBuffer: 10 * 1024 * 1024 },
+      (error) => (error ? reject(error) : resolve())
+    );
+    child.stdin.on('error', () => {}); // surfaced through the exit callback instead
+    child.stdin.end(pcm);
+  }).finally(() => endTimer());
+
+  const { size } = await stat(outputPath).catch(() => ({ size: 0 }));
+  return size > 0;
+}
@@ -0,0 +1,169 @@
+import { mkdir, readFile, writeFile, rename } from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from '../utils/paths.js';
+
+// Members who opted out of being recorded, per guild: { [guildId]: { optedOut: { [userId]: epoch ms } } }
+const CONSENT_PATH = path.join(DATA_DIR, 'consent.json');
+
+export const CONSENT_MODES = {
+  'opt-out': 'Everyone is recorded unless they opt out',
+  'opt-in': 'Only members who accept are recorded',
+};
+export const DEFAULT_CONSENT_MODE = 'opt-out';
+
+const REDACTED = '[redacted]';
+const MIN_REDACTED_NAME_LENGTH = 3; // shorter names match too many ordinary words
+
+let cache = null;
+let writeQueue = Promise.resolve();
+
+async function loadAll() {
+  if (cache) return cache;
+  try {
+    cache = JSON.parse(await readFile(CONSENT_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading consent list:', error.message);
+    cache = {};
+  }
+  return cache;
+}
+
+/**
+ * Whether a member has opted out of being recorded in a guild
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+export async function isOptedOut(guildId, userId) {
+  const all = await loadAll();
+  return Boolean(all[guildId]?.optedOut?.[userId]);
+}
+
+/**
+ * Add a member to (or remove them from) a guild's opt-out list
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @param {boolean} optedOut - Whether the member opts out
+ * @returns {Promise<void>}
+ * @throws {Error} - When the change could not be saved
+ */
+export async function setOptedOut(guildId, userId, optedOut) {
+  const all = await loadAll();
+  const guild = all[guildId] || { optedOut: {} };
+  const previous = guild.optedOut[userId];
+  if (optedOut) guild.optedOut[userId] = Date.now();
+  else delete guild.optedOut[userId];
+  all[guildId] = guild;
+
+  // Serialize writes so concurrent updates never interleave on disk; a failed write does not block later ones
+  const write = writeQueue.then(async () => {
+    await mkdir(DATA_DIR, { recursive: true });
+    const tmpPath = `${CONSENT_PATH}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(all, null, 2));
+    await rename(tmpPath, CONSENT_PATH);
+  });
+  writeQueue = write.catch(() => {});
+
+  try {
+    await write;
+  } catch (error) {
+    console.error('Error writing consent list:', error);
+    // A failed opt-in is undone; a failed opt-out is still honored until the bot restarts
+    if (!optedOut && previous) guild.optedOut[userId] = previous;
+    throw error;
+  }
+}
+
+/**
+ * A guild's consent policy with defaults filled in
+ * @param {object} guildConfig - Guild settings (see services/guild-config.js)
+ * @returns {{mode: string, recordRoleId: string|null, excludeRoleId: string|null}}
+ */
+export function getConsentPolicy(guildConfig = {}) {
+  const { mode, recordRoleId = null, excludeRoleId = null } = guildConfig.consent || {};
+  return { mode: CONSENT_MODES[mode] ? mode : DEFAULT_CONSENT_MODE, recordRoleId, excludeRoleId };
+}
+
+/**
+ * Decide whether a member's audio may be captured
+ * @param {string} guildId - Guild ID
+ * @param {import('discord.js').GuildMember|null} member - Member (null if it could not be fetched)
+ * @param {object} policy - See getConsentPolicy
+ * @param {Set<string>} accepted - Members who accepted during this recording
+ * @returns {Promise<{allowed: boolean, reason?: string}>}
+ */
+export async function checkCaptureConsent(guildId, member, policy, accepted) {
+  if (!member) return { allowed: false, reason: 'unknown member' };
+  if (await isOptedOut(guildId, member.id)) return { allowed: false, reason: 'opted out' };
+  if (policy.excludeRoleId && member.roles.cache.has(policy.excludeRoleId)) {
+    return { allowed: false, reason: 'excluded role' };
+  }
+  if (policy.recordRoleId && !member.roles.cache.has(policy.recordRoleId)) {
+    return { allowed: false, reason: 'missing recorded role' };
+  }
+  if (policy.mode === 'opt-in' && !accepted.has(member.id)) {
+    return { allowed: false, reason: 'has not accepted' };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Describe a consent policy for a recording notice or the settings overview
+ * @param {object} policy - See getConsentPolicy
+ * @returns {string[]} - Lines
+ */
+export function describeConsentPolicy(policy) {
+  const lines = [
+    policy.mode === 'opt-in'
+      ? '✋ Only members who click **Accept** are recorded.'
+      : '✋ Everyone in the channel is recorded unless they click **Opt out**.',
+  ];
+  if (policy.recordRoleId) lines.push(`🎭 Only members with <@&${policy.recordRoleId}> can be recorded.`);
+  if (policy.excludeRoleId) lines.push(`🎭 Members with <@&${policy.excludeRoleId}> are never recorded.`);
+  return lines;
+}
+
+/**
+ * Names a member may be referred to by, for redaction
+ * @param {import('discord.js').GuildMember} member - Member
+ * @returns {string[]}
+ */
+export function memberNames(member) {
+  const names = [member.displayName, member.user?.globalName, member.user?.username];
+  return [...new Set(names.filter(Boolean))];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replace every mention of the given names in a piece of text
+ * @param {string} text - Text
+ * @param {string[]} names - Names to remove
+ * @returns {string} - Redacted text
+ */
+export function redactNames(text, names) {
+  if (!text) return text;
+  const usable = names.filter(name => name.length >= MIN_REDACTED_NAME_LENGTH);
+  if (usable.length === 0) return text;
+  // Longest first, so "Ana Maria" wins over "Ana"
+  const alternatives = usable.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+  return text.replace(pattern, REDACTED);
+}
+
+/**
+ * Redact names in every string of a structured value (e.g. a summary)
+ * @param {*} value - Value
+ * @param {string[]} names - Names to remove
+ * @returns {*} - Copy with names removed
+ */
+export function redactNamesDeep(value, names) {
+  if (typeof value === 'string') return redactNames(value, names);
+  if (Array.isArray(value)) return value.map(item => redactNamesDeep(item, names));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactNamesDeep(item, names)]));
+  }
+  return value;
+}
@@ -0,0 +1,80 @@
+import { getGuildConfig } from './guild-config.js';
+
+// Threads with the minutes stay open for a week so people can discuss them
+const THREAD_AUTO_ARCHIVE_MINUTES = 10080;
+
+/**
+ * The channel a guild's results go to: its minutes channel, or the channel the recording was started from
+ * @param {string} guildId - Guild ID
+ * @param {string} fallbackChannelId - Channel to use when no minutes channel is configured
+ * @returns {Promise<string>} - Channel ID
+ */
+export async function getResultsChannelId(guildId, fallbackChannelId) {
+  const { delivery = {} } = await getGuildConfig(guildId);
+  return delivery.channelId || fallbackChannelId;
+}
+
+/**
+ * Open the place where a meeting's results are posted, following the guild's delivery settings.
+ * Results are sent as regular channel messages, so they do not depend on an interaction token
+ * (which expires after 15 minutes).
+ * @param {import('discord.js').Client} client - Logged-in client
+ * @param {object} options
+ * @param {string} options.guildId - Guild ID
+ * @param {string} options.fallbackChannelId - Channel to use when no minutes channel is configured (or it is gone)
+ * @param {string} options.threadName - Name of the per-meeting thread, if threads are enabled
+ * @returns {Promise<{channel: import('discord.js').TextBasedChannel, dmParticipants: boolean}>}
+ */
+export async function openResultsChannel(client, { guildId, fallbackChannelId, threadName }) {
+  const { delivery = {} } = await getGuildConfig(guildId);
+
+  let channel = null;
+  if (delivery.channelId) {
+    channel = await client.channels.fetch(delivery.channelId).catch(() => null);
+    if (!channel?.isTextBased()) {
+      console.warn(`⚠️ Minutes channel ${delivery.channelId} of guild ${guildId} is not reachable, using the recording's channel`);
+      channel = null;
+    }
+  }
+  if (!channel) {
+    channel = await client.channels.fetch(fallbackChannelId).catch(() => null);
+  }
+  if (!channel?.isTextBased()) {
+    throw new Error(`No text channel to post the results of guild ${guildId} in`);
+  }
+
+  if (delivery.thread && channel.threads) {
+    try {
+      channel = await channel.threads.create({
+        name: threadName.slice(0, 100),
+        autoArchiveDuration: THREAD_AUTO_ARCHIVE_MINUTES,
+        reason: 'Meeting minutes',
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not create a minutes thread in ${channel.name}, posting in the channel:`, error.message);
+    }
+  }
+
+  return { channel, dmParticipants: Boolean(delivery.dmParticipants) };
+}
+
+/**
+ * Send a message to each participant privately. Members who do not accept DMs are skipped.
+ * @param {import('discord.js').Client} client - Logged-in client
+ * @param {Array<{id: string}>} participants - Participants
+ * @param {object} payload - Message
+ * @returns {Promise<number>} - How many participants were reached
+ */
+export async function sendToParticipants(client, participants, payload) {
+  let delivered = 0;
+  for (const { id } of participants) {
+    try {
+      const user = await client.users.fetch(id);
+      await user.send(payload);
+      delivered++;
+    } catch (error) {
+      console.warn(`⚠️ Could not DM the minutes to ${id}: ${error.message}`);
+    }
+  }
+  return delivered;
+}
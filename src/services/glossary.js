@@ -0,0 +1,78 @@
+import { getGuildConfig } from './guild-config.js';
+
+// Each server's glossary is stored in its settings as [{term, aliases}]: the correct spelling of a name,
+// project or acronym, and the misspellings transcription tends to produce for it.
+export const MAX_GLOSSARY_TERMS = 200;
+// Whisper only reads the last ~224 tokens of its prompt, so the vocabulary hint is kept short
+const MAX_VOCABULARY_CHARS = 600;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const normalizeKey = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Split a comma-separated list of misspellings
+ * @param {string|null} text - e.g. "sombre, som bra"
+ * @returns {string[]} - Aliases, without duplicates
+ */
+export function parseAliases(text) {
+  const aliases = String(text || '').split(',').map(alias => alias.trim()).filter(Boolean);
+  return [...new Map(aliases.map(alias => [normalizeKey(alias), alias])).values()];
+}
+
+/**
+ * The glossary used for a guild's transcriptions: the configured terms, plus the display names
+ * of the participants that are not in it yet
+ * @param {string} [guildId] - Guild ID
+ * @param {string[]} [participantNames] - Display names of the people being transcribed
+ * @returns {Promise<Array<{term: string, aliases: string[], participant?: boolean}>>} - Glossary
+ */
+export async function getTranscriptionGlossary(guildId, participantNames = []) {
+  const { glossary = [] } = guildId ? await getGuildConfig(guildId) : {};
+  const known = new Set(glossary.map(({ term }) => normalizeKey(term)));
+  const names = [...new Set(participantNames.filter(Boolean))]
+    .filter(name => !known.has(normalizeKey(name)))
+    .map(term => ({ term, aliases: [], participant: true }));
+  return [...glossary, ...names];
+}
+
+/**
+ * List the glossary terms for a transcription prompt, up to the length a prompt can use
+ * @param {Array<{term: string}>} glossary - Glossary
+ * @returns {string} - Comma-separated terms (empty without a glossary)
+ */
+export function buildVocabulary(glossary) {
+  let vocabulary = '';
+  for (const { term } of glossary) {
+    const next = vocabulary ? `${vocabulary}, ${term}` : term;
+    if (next.length > MAX_VOCABULARY_CHARS) break;
+    vocabulary = next;
+  }
+  return vocabulary;
+}
+
+/**
+ * Replace misspellings with the glossary's spelling. Configured terms also get their capitalization fixed
+ * ("sombra" becomes "Sombra"); participants' names are only used in the prompt, as many are ordinary words.
+ * @param {string} text - Transcribed text
+ * @param {Array<{term: string, aliases: string[], participant?: boolean}>} glossary - Glossary
+ * @returns {string} - Corrected text
+ */
+export function applyGlossary(text, glossary) {
+  const replacements = new Map();
+  for (const { term, aliases = [], participant } of glossary) {
+    for (const alias of aliases) replacements.set(normalizeKey(alias), term);
+    if (!participant) replacements.set(normalizeKey(term), term);
+  }
+  if (!text || replacements.size === 0) return text;
+
+  // Longest first, so "aurora two" wins over "aurora"; any run of whitespace matches a space
+  const alternatives = [...replacements.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(key => escapeRegExp(key).replace(/ /g, '\\s+'))
+    .join('|');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+  return text.replace(pattern, match => replacements.get(normalizeKey(match)) ?? match);
+}
@@ -0,0 +1,71 @@
+import { mkdir, readFile, writeFile, rename } from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from '../utils/paths.js';
+
+// All per-guild settings live in a single JSON file keyed by guild ID
+const CONFIG_PATH = path.join(DATA_DIR, 'guild-config.json');
+
+let cache = null;
+let writeQueue = Promise.resolve();
+
+async function loadAll() {
+  if (cache) return cache;
+  try {
+    cache = JSON.parse(await readFile(CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading guild config:', error.message);
+    cache = {};
+  }
+  return cache;
+}
+
+/**
+ * Get a guild's settings. Unset keys are simply missing, so callers fall back to env defaults.
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<object>} - Settings (a copy; use updateGuildConfig to change them)
+ */
+export async function getGuildConfig(guildId) {
+  const all = await loadAll();
+  return structuredClone(all[guildId] || {});
+}
+
+/**
+ * Merge changes into a guild's settings. Keys set to undefined or null are removed.
+ * @param {string} guildId - Guild ID
+ * @param {object} changes - Settings to change
+ * @returns {Promise<object>} - The updated settings
+ * @throws {Error} - When the settings could not be saved; nothing is changed then
+ */
+export async function updateGuildConfig(guildId, changes) {
+  const all = await loadAll();
+  const updated = { ...(all[guildId] || {}) };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === undefined || value === null) delete updated[key];
+    else updated[key] = value;
+  }
+  const previous = all[guildId];
+  all[guildId] = updated;
+
+  // Serialize writes so concurrent updates never interleave on disk; a failed write does not block later ones
+  const write = writeQueue.then(async () => {
+    await mkdir(DATA_DIR, { recursive: true });
+    const tmpPath = `${CONFIG_PATH}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(all, null, 2));
+    await rename(tmpPath, CONFIG_PATH);
+  });
+  writeQueue = write.catch(() => {});
+
+  try {
+    await write;
+  } catch (error) {
+    console.error('Error writing guild config:', error);
+    // Undo the change unless a later update already replaced it
+    if (all[guildId] === updated) {
+      if (previous) all[guildId] = previous;
+      else delete all[guildId];
+    }
+    throw error;
+  }
+
+  return structuredClone(updated);
+}
@@ -0,0 +1,99 @@
+import { createHmac } from 'crypto';
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Addresses a webhook must not reach: loopback, private networks, link-local (including cloud metadata
+// at 169.254.169.254), carrier-grade NAT, multicast and reserved ranges. IPv4-mapped IPv6 addresses are
+// matched against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Hosts that may resolve to such addresses anyway, e.g. a receiver on the same private network
+function allowedPrivateHosts() {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Make sure a webhook URL points to a public address. Checked when a webhook is added and
+ * again before every request, since what a hostname resolves to can change.
+ * @param {string} url - Webhook URL
+ * @throws {Error} - With `permanent` set when the host resolves to a blocked address
+ */
+export async function assertPublicUrl(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedPrivateHosts().includes(hostname)) return;
+
+  const addresses = isIP(hostname)
+    ? [{ address: hostname, family: isIP(hostname) }]
+    : await lookup(hostname, { all: true, verbatim: true });
+  const blocked = addresses.find(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+  if (blocked) {
+    const where = blocked.address === hostname ? hostname : `${hostname} (${blocked.address})`;
+    const error = new Error(`Webhooks cannot be sent to ${where}: it is a private or reserved address`);
+    error.permanent = true;
+    throw error;
+  }
+}
+
+/**
+ * Sign a webhook body. Receivers recompute the HMAC over "<timestamp>.<body>" with their
+ * secret and compare it to the X-Minutes-Signature header (and reject stale timestamps).
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix time in seconds (X-Minutes-Timestamp)
+ * @param {string} body - Raw JSON body
+ * @returns {string} - "sha256=<hex digest>"
+ */
+export function signBody(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * POST a JSON body to a webhook URL. Redirects are not followed, so they cannot lead to a private address.
+ * @param {string} url - Webhook URL
+ * @param {object} body - Body (serialized as JSON)
+ * @param {object} [options]
+ * @param {string} [options.secret] - Sign the body with this secret
+ * @param {object} [options.headers] - Extra headers
+ * @throws {Error} - With `status` (and `retryAfterMs` when the receiver sent Retry-After) on a non-2xx answer,
+ *   or with `permanent` when the URL points to a private address (see assertPublicUrl)
+ */
+export async function postJson(url, body, { secret, headers = {} } = {}) {
+  await assertPublicUrl(url);
+
+  const json = JSON.stringify(body);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const allHeaders = { 'Content-Type': 'application/json', 'User-Agent': 'magic-minutes', ...headers };
+  if (secret) {
+    allHeaders['X-Minutes-Timestamp'] = String(timestamp);
+    allHeaders['X-Minutes-Signature'] = signBody(secret, timestamp, json);
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: allHeaders,
+    body: json,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    const error = new Error(`Webhook returned ${response.status}: ${text.slice(0, 200)}`);
+    error.status = response.status;
+    const retryAfter = Number(response.headers.get('retry-after'));
+    if (Number.isFinite(retryAfter) && retryAfter > 0) error.retryAfterMs = retryAfter * 1000;
+    throw error;
+  }
+}
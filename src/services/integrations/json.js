@@ -0,0 +1,16 @@
+import { postJson } from './http.js';
+
+export const name = 'json';
+
+/**
+ * POST the full meeting payload as signed JSON
+ * @param {object} payload - Meeting payload (see buildMeetingPayload in services/webhooks.js)
+ * @param {{url: string, secret?: string}} target - Webhook
+ * @param {{deliveryId: string}} context - Delivery ID, the same on every retry so receivers can de-duplicate
+ */
+export async function deliver(payload, target, { deliveryId }) {
+  await postJson(target.url, payload, {
+    secret: target.secret,
+    headers: { 'X-Minutes-Event': payload.event, 'X-Minutes-Delivery': deliveryId },
+  });
+}
@@ -0,0 +1,91 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { mkdir, writeFile, rename } from 'fs/promises';
+import path from 'path';
+import { renderSummaryMarkdown } from '../../utils/summary-format.js';
+import { formatDuration } from '../../utils/messages.js';
+
+const execFileAsync = promisify(execFile);
+
+export const name = 'markdown';
+
+// Git refuses concurrent commands on one repository, so exports are committed one at a time
+let gitQueue = Promise.resolve();
+
+const slugify = (text) => String(text).toLowerCase().normalize('NFKD')
+  .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'meeting';
+
+/**
+ * Render a meeting payload as a Markdown document (YAML front matter, summary, transcript)
+ * @param {object} payload - Meeting payload (see buildMeetingPayload in services/webhooks.js)
+ * @returns {string} - Markdown
+ */
+export function renderMeetingMarkdown({ meeting, summary, transcript }) {
+  const frontMatter = [
+    '---',
+    `id: ${meeting.id}`,
+    `guild: "${meeting.guildId}"`,
+    `channel: ${JSON.stringify(meeting.channelName)}`,
+    `start: ${meeting.startTime}`,
+    `end: ${meeting.endTime}`,
+    `participants: [${meeting.participants.map(p => JSON.stringify(p.name)).join(', ')}]`,
+    ...(meeting.minutesUrl ? [`discord: ${meeting.minutesUrl}`] : []),
+    '---',
+  ];
+  const sections = [
+    frontMatter.join('\n'),
+    `# ${meeting.channelName} — ${meeting.startTime.slice(0, 10)}`,
+    `${formatDuration(meeting.durationSeconds)} with ${meeting.participants.map(p => p.name).join(', ') || 'nobody'}`,
+    summary ? renderSummaryMarkdown(summary) : '_No summary could be generated for this meeting._',
+  ];
+  if (transcript.text) sections.push(`## Transcript\n\n${transcript.text.split('\n').join('  \n')}`);
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+async function git(dir, ...args) {
+  return execFileAsync('git', ['-C', dir, ...args], { timeout: 60000 });
+}
+
+async function isGitRepository(dir) {
+  try {
+    await git(dir, 'rev-parse', '--is-inside-work-tree');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Write a meeting as a Markdown file to <dir>/<guildId>/. If the directory is a git repository,
+ * the file is committed, and pushed when `push` is set.
+ * @param {object} payload - Meeting payload
+ * @param {{dir: string, push?: boolean}} target - Export directory
+ * @returns {Promise<string>} - Path of the written file
+ */
+export async function deliver(payload, target) {
+  const { meeting } = payload;
+  const fileName = `${meeting.startTime.slice(0, 10)}-${slugify(meeting.channelName)}-${meeting.id}.md`;
+  const filePath = path.join(target.dir, meeting.guildId, fileName);
+  await mkdir(path.dirname(filePath), { recursive: true });
+
+  const tmpPath = `${filePath}.tmp`;
+  await writeFile(tmpPath, renderMeetingMarkdown(payload));
+  await rename(tmpPath, filePath);
+
+  if (await isGitRepository(target.dir)) {
+    const run = gitQueue.then(async () => {
+      await git(target.dir, 'add', '--', filePath);
+      // Nothing staged means a retry of an export that was already committed
+      const staged = await git(target.dir, 'diff', '--cached', '--quiet').then(() => false, () => true);
+      if (staged) {
+        await git(target.dir, 'commit', '-m', `Minutes: ${meeting.channelName} ${meeting.startTime.slice(0, 10)} (${meeting.id})`);
+      }
+      if (target.push) await git(target.dir, 'push');
+    });
+    gitQueue = run.catch(() => {});
+    await run;
+  }
+
+  return filePath;
+}
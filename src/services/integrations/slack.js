@@ -0,0 +1,61 @@
+import { postJson } from './http.js';
+import { formatActionItem } from '../../utils/summary-format.js';
+import { formatDuration } from '../../utils/messages.js';
+
+export const name = 'slack';
+
+// Block Kit limits: https://api.slack.com/reference/block-kit/blocks
+const SECTION_TEXT_LIMIT = 2900; // 3000, with some headroom
+const HEADER_TEXT_LIMIT = 150;
+
+const truncate = (text, limit) => (text.length > limit ? `${text.slice(0, limit - 1)}…` : text);
+
+// Slack's mrkdwn treats these three characters as markup
+const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function listSection(title, items) {
+  if (items.length === 0) return [];
+  const text = `*${title}*\n${items.map(item => `• ${escape(item)}`).join('\n')}`;
+  return [{ type: 'section', text: { type: 'mrkdwn', text: truncate(text, SECTION_TEXT_LIMIT) } }];
+}
+
+/**
+ * Turn a meeting payload into a Slack incoming-webhook message
+ * @param {object} payload - Meeting payload (see buildMeetingPayload in services/webhooks.js)
+ * @returns {{text: string, blocks: object[]}} - Message
+ */
+export function formatMessage({ meeting, summary }) {
+  const title = `Minutes: ${meeting.channelName} (${meeting.startTime.slice(0, 10)})`;
+  const details = [
+    formatDuration(meeting.durationSeconds),
+    meeting.participants.map(p => escape(p.name)).join(', ') || 'no participants',
+  ];
+  if (meeting.minutesUrl) details.push(`<${meeting.minutesUrl}|Open in Discord>`);
+
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: truncate(title, HEADER_TEXT_LIMIT) } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: details.join(' · ') }] },
+  ];
+  if (summary) {
+    blocks.push(
+      { type: 'section', text: { type: 'mrkdwn', text: truncate(escape(summary.overview || 'No overview.'), SECTION_TEXT_LIMIT) } },
+      ...listSection('Decisions', summary.decisions),
+      ...listSection('Action items', summary.actionItems.map(item => formatActionItem(item, false))),
+      ...listSection('Open questions', summary.openQuestions),
+    );
+  } else {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '_No summary could be generated for this meeting._' } });
+  }
+
+  // `text` is what notifications and clients without Block Kit show
+  return { text: title, blocks };
+}
+
+/**
+ * Post a meeting to a Slack-compatible incoming webhook (Slack, Mattermost, Rocket.Chat, ...)
+ * @param {object} payload - Meeting payload
+ * @param {{url: string}} target - Webhook
+ */
+export async function deliver(payload, target) {
+  await postJson(target.url, formatMessage(payload));
+}
@@ -0,0 +1,133 @@
+import path from 'path';
+import { unlink } from 'fs/promises';
+import { transcribeAudio } from './transcription.js';
+import { redactNames } from './consent.js';
+import { encodePcmRangeToMp3 } from './audio.js';
+import { PCM_BYTES_PER_MS, msToPcmBytes } from '../utils/pcm.js';
+import { formatTimestamp } from '../utils/transcript.js';
+import { splitMessage } from '../utils/messages.js';
+
+// Live mode transcribes each user's PCM file in slices while the recording is still running
+export const LIVE_SLICE_SECONDS = Number(process.env.LIVE_SLICE_SECONDS || 60);
+const MIN_SLICE_MS = 5000; // shorter slices are mostly noise to the transcription APIs
+const MAX_SLICE_FACTOR = 3; // cut mid-speech rather than wait on a monologue longer than this many slices
+
+/**
+ * Whether any speaking burst overlaps a range of the meeting clock
+ * @param {Array<{start: number, end: number|null}>} bursts - Speaking bursts (ms from the recording start)
+ * @param {number} fromMs - Range start
+ * @param {number} toMs - Range end
+ * @returns {boolean}
+ */
+export function hasSpeechBetween(bursts = [], fromMs, toMs) {
+  return bursts.some(({ start, end }) => start < toMs && (end ?? Infinity) > fromMs);
+}
+
+// Prefer cutting in the silence before the burst in progress, so words are not split across slices
+function chooseSliceEnd(bursts = [], fromMs, availableMs) {
+  const last = bursts[bursts.length - 1];
+  const speaking = last && (last.end === null || last.end > availableMs);
+
+  let endMs = null;
+  if (!speaking) {
+    endMs = availableMs;
+  } else if (last.start - fromMs >= MIN_SLICE_MS) {
+    endMs = last.start;
+  } else if (availableMs - fromMs >= LIVE_SLICE_SECONDS * 1000 * MAX_SLICE_FACTOR) {
+    endMs = availableMs;
+  }
+
+  return endMs !== null && endMs - fromMs >= MIN_SLICE_MS ? endMs : null;
+}
+
+// Transcribe the next slice of one user's file. Returns the new segments (meeting offsets), or null to retry later.
+async function transcribeNextSlice(userId, streamData, bursts, { guildId, participants }) {
+  const { aggregatedPath, writeStream } = streamData;
+  const fromMs = streamData.liveTranscribedMs || 0;
+  // Only what has reached the disk can be read back
+  const availableMs = (writeStream?.bytesWritten || 0) / PCM_BYTES_PER_MS;
+
+  const endMs = chooseSliceEnd(bursts, fromMs, availableMs);
+  if (endMs === null) return null;
+
+  if (!hasSpeechBetween(bursts, fromMs, endMs)) {
+    streamData.liveTranscribedMs = endMs;
+    return [];
+  }
+
+  const slicePath = path.join(path.dirname(aggregatedPath), `live_${userId}_${Math.round(fromMs)}.mp3`);
+  try {
+    const encoded = await encodePcmRangeToMp3(aggregatedPath, msToPcmBytes(fromMs), msToPcmBytes(endMs), slicePath);
+    if (!encoded) return null;
+
+    const segments = await transcribeAudio(slicePath, { guildId, participants });
+    if (!segments) {
+      console.warn(`⚠️ Live transcription failed for ${userId} at ${formatTimestamp(fromMs / 1000)}; will retry`);
+      return null;
+    }
+
+    const shifted = segments.map(({ offset, text }) => ({ offset: offset + fromMs / 1000, text }));
+    streamData.liveSegments = [...(streamData.liveSegments || []), ...shifted];
+    streamData.liveTranscribedMs = endMs;
+    return shifted;
+  } finally {
+    await unlink(slicePath).catch(() => {});
+  }
+}
+
+/**
+ * Transcribe a running recording in slices and post the transcript to a thread as it grows.
+ * Each user's stream keeps `liveTranscribedMs` (how far it has been transcribed) and
+ * `liveSegments`, so final processing only has to transcribe the tail.
+ * @param {object} recordingData - The active recording (see startRecording in commands/voice.js)
+ * @param {object} options
+ * @param {string} options.guildId - Guild ID (selects the transcription provider)
+ * @param {import('discord.js').ThreadChannel} options.thread - Where the transcript is posted
+ * @returns {{thread: import('discord.js').ThreadChannel, stop: () => Promise<void>}} - Controller; stop() waits for the slice in flight
+ */
+export function startLiveTranscription(recordingData, { guildId, thread }) {
+  let inFlight = null;
+
+  const tick = async () => {
+    const lines = [];
+    const participants = [...recordingData.audioStreams.values()].map(({ user }) => user?.displayName).filter(Boolean);
+    for (const [userId, streamData] of recordingData.audioStreams.entries()) {
+      if (!streamData.persistent || !streamData.aggregatedPath) continue;
+      try {
+        const bursts = recordingData.speakingBursts.get(userId);
+        const segments = await transcribeNextSlice(userId, streamData, bursts, { guildId, participants });
+        // The member may have opted out while their slice was being transcribed
+        if (recordingData.audioStreams.get(userId) !== streamData) continue;
+        const excluded = [...recordingData.excludedUsers.values()].flat();
+        const speaker = streamData.user?.displayName || streamData.user?.user?.tag || userId;
+        for (const { offset, text } of segments || []) {
+          lines.push({ offset, line: `[${formatTimestamp(offset)}] ${speaker}: ${redactNames(text, excluded)}` });
+        }
+      } catch (error) {
+        console.error(`Error in live transcription for ${userId}:`, error);
+      }
+    }
+
+    if (lines.length === 0) return;
+    lines.sort((a, b) => a.offset - b.offset);
+    for (const chunk of splitMessage(lines.map(l => l.line).join('\n'), 1950)) {
+      await thread.send({ content: chunk }).catch(console.error);
+    }
+  };
+
+  // Slices can take longer than the interval to transcribe; never run two at once
+  const timer = setInterval(() => {
+    if (inFlight) return;
+    inFlight = tick().finally(() => { inFlight = null; });
+  }, LIVE_SLICE_SECONDS * 1000);
+
+  console.log(`🛰️ Live transcription started (${LIVE_SLICE_SECONDS}s slices)`);
+
+  return {
+    thread,
+    async stop() {
+      clearInterval(timer);
+      await inFlight;
+    },
+  };
+}
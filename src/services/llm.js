@@ -0,0 +1,91 @@
+import { config } from 'dotenv';
+import * as gemini from './llm/gemini.js';
+import * as openai from './llm/openai.js';
+
+config();
+
+// Every provider exposes `name`, `defaultModel` and `generate(prompt, options)` resolving to text,
+// plus `defaultEmbeddingModel` and `embed(texts, options)` resolving to vectors
+export const LLM_PROVIDERS = {
+  [gemini.name]: gemini,
+  [openai.name]: openai,
+};
+
+const SUMMARY_TEMPERATURE = Number(process.env.SUMMARY_TEMPERATURE || 0.3);
+const SUMMARY_MAX_TOKENS = Number(process.env.SUMMARY_MAX_TOKENS || 4096);
+// Vectors from different models can't be compared, so embeddings always come from the primary provider
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL;
+const EMBEDDING_BATCH_SIZE = 100;
+
+// Build one entry of the provider chain from SUMMARY_* (primary) or SUMMARY_FALLBACK_* (secondary) env vars
+function readProviderConfig(prefix, providerName) {
+  const provider = LLM_PROVIDERS[providerName];
+  if (!provider) {
+    console.warn(`⚠️ Unknown LLM provider "${providerName}" in ${prefix}_PROVIDER, ignoring`);
+    return null;
+  }
+  return {
+    provider,
+    model: process.env[`${prefix}_MODEL`] || provider.defaultModel,
+    baseUrl: process.env[`${prefix}_BASE_URL`] || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env[`${prefix}_API_KEY`] || process.env.OPENAI_API_KEY,
+  };
+}
+
+const providerChain = [
+  readProviderConfig('SUMMARY', process.env.SUMMARY_PROVIDER || gemini.name),
+  process.env.SUMMARY_FALLBACK_PROVIDER
+    ? readProviderConfig('SUMMARY_FALLBACK', process.env.SUMMARY_FALLBACK_PROVIDER)
+    : null,
+].filter(Boolean);
+
+/**
+ * Generate text with the configured LLM, failing over to the secondary provider if the primary fails
+ * @param {string} prompt - Prompt
+ * @param {object} [options]
+ * @param {number} [options.temperature] - Override SUMMARY_TEMPERATURE
+ * @param {number} [options.maxTokens] - Override SUMMARY_MAX_TOKENS
+ * @returns {Promise<string>} - Generated text
+ * @throws {Error} - The last provider's error when every provider failed
+ */
+export async function generateText(prompt, { temperature = SUMMARY_TEMPERATURE, maxTokens = SUMMARY_MAX_TOKENS } = {}) {
+  let lastError = new Error('No LLM provider is configured');
+
+  for (const { provider, ...options } of providerChain) {
+    try {
+      return await provider.generate(prompt, { ...options, temperature, maxTokens });
+    } catch (error) {
+      console.error(`❌ ${provider.name} (${options.model}) failed:`, error.message);
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Name of the model embedTexts uses, so stored vectors can be told apart when it changes
+ * @returns {string|null} - Model name, or null if no provider is configured
+ */
+export function getEmbeddingModel() {
+  const primary = providerChain[0];
+  return primary ? EMBEDDING_MODEL || primary.provider.defaultEmbeddingModel : null;
+}
+
+/**
+ * Compute embeddings with the primary LLM provider (EMBEDDING_MODEL, or the provider's default)
+ * @param {string[]} texts - Texts
+ * @returns {Promise<number[][]>} - One vector per text
+ * @throws {Error} - When no provider is configured or the request fails
+ */
+export async function embedTexts(texts) {
+  const primary = providerChain[0];
+  if (!primary) throw new Error('No LLM provider is configured');
+  const { provider, ...options } = primary;
+
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    vectors.push(...await provider.embed(texts.slice(i, i + EMBEDDING_BATCH_SIZE), { ...options, model: getEmbeddingModel() }));
+  }
+  return vectors;
+}
@@ -0,0 +1,46 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { config } from 'dotenv';
+
+config();
+
+const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+
+export const name = 'gemini';
+export const defaultModel = 'gemini-2.0-flash';
+
+/**
+ * Generate text with Google Gemini
+ * @param {string} prompt - Prompt
+ * @param {object} options
+ * @param {string} options.model - Model name
+ * @param {number} [options.temperature] - Sampling temperature
+ * @param {number} [options.maxTokens] - Maximum output tokens
+ * @returns {Promise<string>} - Generated text
+ */
+export async function generate(prompt, { model, temperature, maxTokens }) {
+  const generativeModel = genAI.getGenerativeModel({
+    model,
+    generationConfig: { temperature, maxOutputTokens: maxTokens },
+  });
+
+  const result = await generativeModel.generateContent(prompt);
+  const response = await result.response;
+  return response.text();
+}
+
+export const defaultEmbeddingModel = 'text-embedding-004';
+
+/**
+ * Compute embeddings with Google Gemini
+ * @param {string[]} texts - Texts (at most 100)
+ * @param {object} options
+ * @param {string} options.model - Embedding model name
+ * @returns {Promise<number[][]>} - One vector per text
+ */
+export async function embed(texts, { model }) {
+  const embeddingModel = genAI.getGenerativeModel({ model });
+  const result = await embeddingModel.batchEmbedContents({
+    requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } })),
+  });
+  return result.embeddings.map(embedding => embedding.values);
+}
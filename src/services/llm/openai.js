@@ -0,0 +1,77 @@
+import { config } from 'dotenv';
+
+config();
+
+export const name = 'openai';
+export const defaultModel = 'gpt-4o-mini';
+
+/**
+ * Generate text with an OpenAI-compatible chat-completions API (OpenAI, Ollama, llama.cpp server, vLLM, ...)
+ * @param {string} prompt - Prompt
+ * @param {object} options
+ * @param {string} options.model - Model name
+ * @param {string} options.baseUrl - API base URL, e.g. http://localhost:11434/v1 for Ollama
+ * @param {string} [options.apiKey] - Bearer token, if the server needs one
+ * @param {number} [options.temperature] - Sampling temperature
+ * @param {number} [options.maxTokens] - Maximum output tokens
+ * @returns {Promise<string>} - Generated text
+ */
+export async function generate(prompt, { model, baseUrl, apiKey, temperature, maxTokens }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature,
+      max_tokens: maxTokens,
+    }),
+  });
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    const error = new Error(`Chat completions endpoint returned ${response.status}: ${body.slice(0, 500)}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const result = await response.json();
+  const text = result.choices?.[0]?.message?.content;
+  if (!text) throw new Error('Chat completions endpoint returned no content');
+  return text;
+}
+
+export const defaultEmbeddingModel = 'text-embedding-3-small';
+
+/**
+ * Compute embeddings with an OpenAI-compatible embeddings API
+ * @param {string[]} texts - Texts (at most 100)
+ * @param {object} options
+ * @param {string} options.model - Embedding model name
+ * @param {string} options.baseUrl - API base URL
+ * @param {string} [options.apiKey] - Bearer token, if the server needs one
+ * @returns {Promise<number[][]>} - One vector per text
+ */
+export async function embed(texts, { model, baseUrl, apiKey }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/embeddings`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model, input: texts }),
+  });
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    const error = new Error(`Embeddings endpoint returned ${response.status}: ${body.slice(0, 500)}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const result = await response.json();
+  return [...result.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+}
@@ -0,0 +1,116 @@
+/**
+ * A small in-process metrics registry rendered in the Prometheus text format (GET /metrics).
+ * Metrics are defined next to the code they measure; label values must stay low-cardinality
+ * (provider names, operations), never guild or user IDs.
+ */
+
+const metrics = new Map(); // name -> metric
+
+// Seconds; covers quick API calls up to long ffmpeg conversions of multi-hour meetings
+const DEFAULT_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800];
+
+const labelKey = (labels = {}) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+function formatLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+function register(name, type, help, metric) {
+  if (metrics.has(name)) throw new Error(`Metric ${name} is already registered`);
+  metrics.set(name, { name, type, help, ...metric });
+  return metric.api;
+}
+
+/**
+ * Define a counter
+ * @param {string} name - Metric name (ends in _total by convention)
+ * @param {string} help - Description
+ * @returns {{inc: (labels?: object, amount?: number) => void}}
+ */
+export function createCounter(name, help) {
+  const values = new Map(); // label key -> {labels, value}
+  return register(name, 'counter', help, {
+    samples: () => [...values.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+    api: {
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const entry = values.get(key) || { labels, value: 0 };
+        entry.value += amount;
+        values.set(key, entry);
+      },
+    },
+  });
+}
+
+/**
+ * Define a gauge whose value is read when metrics are scraped
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {() => number} collect - Current value
+ */
+export function createGauge(name, help, collect) {
+  register(name, 'gauge', help, {
+    samples: () => [`${name} ${Number(collect()) || 0}`],
+    api: undefined,
+  });
+}
+
+/**
+ * Define a histogram
+ * @param {string} name - Metric name (ends in a unit, e.g. _seconds)
+ * @param {string} help - Description
+ * @param {number[]} [buckets] - Upper bounds
+ * @returns {{observe: (labels: object, value: number) => void, startTimer: (labels?: object) => () => number}}
+ */
+export function createHistogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const series = new Map(); // label key -> {labels, counts, sum, count}
+  const api = {
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    // Returns a function that records the time elapsed since startTimer() and returns it (seconds)
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        api.observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+  };
+
+  return register(name, 'histogram', help, {
+    samples: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((bound, i) => `${name}_bucket${formatLabels(labels, { le: bound })} ${counts[i]}`),
+      `${name}_bucket${formatLabels(labels, { le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`,
+    ]),
+    api,
+  });
+}
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ * @returns {string} - Exposition
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const { name, type, help, samples } of metrics.values()) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    try {
+      lines.push(...samples());
+    } catch (error) {
+      console.error(`Error collecting metric ${name}:`, error);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,260 @@
+import { mkdir, readFile, writeFile, rename } from 'fs/promises';
+import { createHash } from 'crypto';
+import path from 'path';
+import { config } from 'dotenv';
+import { listMeetings, getArchiveVersion } from './archive.js';
+import { generateText, embedTexts, getEmbeddingModel } from './llm.js';
+import { normalizeSummary, formatActionItem } from '../utils/summary-format.js';
+import { createBm25Index, searchBm25 } from '../utils/bm25.js';
+import { formatTimestamp } from '../utils/transcript.js';
+import { DATA_DIR } from '../utils/paths.js';
+
+config();
+
+// Transcripts and summaries are searched with a BM25 index built from the archive. With SEARCH_EMBEDDINGS=true,
+// passages are also ranked by embedding similarity, and both rankings are fused. Vectors are cached in
+// DATA_DIR/search-embeddings/<guildId>.json so each passage is only embedded once.
+const SEARCH_EMBEDDINGS = process.env.SEARCH_EMBEDDINGS === 'true';
+const EMBEDDINGS_DIR = path.join(DATA_DIR, 'search-embeddings');
+
+// Consecutive lines of one speaker are one passage, up to this long
+const PASSAGE_MAX_SECONDS = 60;
+const PASSAGE_MAX_CHARS = 800;
+// Candidates taken from each ranking before they are fused, and passages given to the model
+const CANDIDATES_PER_RANKING = 40;
+const MAX_EXCERPTS = 8;
+// Passages shown instead of an answer when it could not be generated
+const FALLBACK_PASSAGES = 3;
+// Reciprocal rank fusion constant; higher values flatten the difference between ranks
+const RRF_K = 60;
+
+const indexes = new Map(); // guild ID -> {version, passages, bm25, vectors}
+
+const hashText = (text) => createHash('sha256').update(text).digest('hex').slice(0, 24);
+
+// Link to a meeting's minutes in Discord; meetings archived before minutesUrl was stored link to their channel
+function minutesLink(meeting) {
+  if (meeting.minutesUrl) return meeting.minutesUrl;
+  const channelId = meeting.resultsChannelId || meeting.textChannelId;
+  return channelId ? `https://discord.com/channels/${meeting.guildId}/${channelId}` : null;
+}
+
+// Cut a meeting into passages: runs of one speaker's lines, plus one passage for the summary
+function meetingPassages(meeting) {
+  const source = {
+    id: meeting.id,
+    channelName: meeting.channelName,
+    startTime: meeting.startTime,
+    url: minutesLink(meeting),
+  };
+  const passages = [];
+  let current = null;
+
+  for (const entry of meeting.timeline || []) {
+    if (entry.gap) continue;
+    const continues = current
+      && current.speakerId === entry.speakerId
+      && entry.offset - current.offset <= PASSAGE_MAX_SECONDS
+      && current.text.length + entry.text.length <= PASSAGE_MAX_CHARS;
+    if (continues) {
+      current.text += ` ${entry.text}`;
+    } else {
+      current = { meeting: source, offset: entry.offset, speakerId: entry.speakerId, speaker: entry.speaker, text: entry.text };
+      passages.push(current);
+    }
+  }
+
+  const summary = normalizeSummary(meeting.summary);
+  if (summary) {
+    const lines = [
+      summary.overview,
+      ...summary.decisions.map(decision => `Decision: ${decision}`),
+      ...summary.actionItems.map(item => `Action item: ${formatActionItem(item, false)}`),
+      ...summary.openQuestions.map(question => `Open question: ${question}`),
+    ];
+    passages.push({ meeting: source, offset: null, speakerId: null, speaker: null, text: lines.join('\n') });
+  }
+
+  return passages.map((passage, i) => ({ ...passage, id: `${meeting.id}:${i}` }));
+}
+
+async function loadVectors(guildId, model) {
+  try {
+    const stored = JSON.parse(await readFile(path.join(EMBEDDINGS_DIR, `${guildId}.json`), 'utf8'));
+    return stored.model === model ? new Map(Object.entries(stored.vectors)) : new Map();
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Error reading search embeddings of guild ${guildId}:`, error.message);
+    return new Map();
+  }
+}
+
+async function saveVectors(guildId, model, vectors) {
+  const filePath = path.join(EMBEDDINGS_DIR, `${guildId}.json`);
+  await mkdir(EMBEDDINGS_DIR, { recursive: true });
+  await writeFile(`${filePath}.tmp`, JSON.stringify({ model, vectors: Object.fromEntries(vectors) }));
+  await rename(`${filePath}.tmp`, filePath);
+}
+
+// Vectors of every passage (text hash -> vector), embedding only the passages that are new
+async function embedPassages(guildId, passages) {
+  const model = getEmbeddingModel();
+  const stored = await loadVectors(guildId, model);
+  const vectors = new Map();
+  const missing = [];
+  for (const { text } of passages) {
+    const key = hashText(text);
+    if (vectors.has(key)) continue;
+    vectors.set(key, stored.get(key) || null);
+    if (!stored.has(key)) missing.push({ key, text });
+  }
+
+  if (missing.length > 0) {
+    console.log(`🧮 Embedding ${missing.length} new passage(s) for guild ${guildId}`);
+    const computed = await embedTexts(missing.map(({ text }) => text));
+    missing.forEach(({ key }, i) => vectors.set(key, computed[i]));
+  }
+  // Passages of deleted meetings are not carried over
+  if (missing.length > 0 || stored.size !== vectors.size) await saveVectors(guildId, model, vectors);
+  return vectors;
+}
+
+// The guild's index, rebuilt when a meeting was saved or deleted since it was built
+async function getGuildIndex(guildId) {
+  const version = await getArchiveVersion(guildId);
+  const cached = indexes.get(guildId);
+  if (cached?.version === version) return cached;
+
+  const passages = (await listMeetings(guildId)).flatMap(meetingPassages);
+  let vectors = null;
+  if (SEARCH_EMBEDDINGS && passages.length > 0) {
+    vectors = await embedPassages(guildId, passages).catch((error) => {
+      console.warn(`⚠️ Could not embed passages, searching by keywords only: ${error.message}`);
+      return null;
+    });
+  }
+
+  const index = {
+    version,
+    passages: new Map(passages.map(passage => [passage.id, passage])),
+    bm25: createBm25Index(passages),
+    // A failed embedding run is retried on the next search
+    vectors,
+  };
+  if (!SEARCH_EMBEDDINGS || vectors) indexes.set(guildId, index);
+  return index;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+async function rankByEmbedding(index, query, filter) {
+  try {
+    const [queryVector] = await embedTexts([query]);
+    return [...index.passages.values()]
+      .filter(passage => filter(passage.id))
+      .map(passage => ({ id: passage.id, vector: index.vectors.get(hashText(passage.text)) }))
+      .filter(({ vector }) => vector)
+      .map(({ id, vector }) => ({ id, score: cosineSimilarity(queryVector, vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, CANDIDATES_PER_RANKING);
+  } catch (error) {
+    console.warn(`⚠️ Could not embed the question, searching by keywords only: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Find the passages of a guild's archived meetings that best match a query
+ * @param {string} guildId - Guild ID
+ * @param {string} query - Question or keywords
+ * @param {object} [options]
+ * @param {number} [options.since=0] - Only search meetings that started after this (epoch ms)
+ * @param {number} [options.limit] - Maximum number of passages
+ * @returns {Promise<Array<{id: string, meeting: {id: string, channelName: string, startTime: number, url: string|null},
+ *   offset: number|null, speakerId: string|null, speaker: string|null, text: string}>>} - Passages, best first.
+ *   Summary passages have no offset or speaker.
+ */
+export async function searchMeetings(guildId, query, { since = 0, limit = MAX_EXCERPTS } = {}) {
+  const index = await getGuildIndex(guildId);
+  const filter = id => index.passages.get(id).meeting.startTime >= since;
+
+  const rankings = [searchBm25(index.bm25, query, { limit: CANDIDATES_PER_RANKING, filter })];
+  if (index.vectors) rankings.push(await rankByEmbedding(index, query, filter));
+
+  // Reciprocal rank fusion: a passage near the top of either ranking comes out near the top
+  const scores = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach(({ id }, rank) => scores.set(id, (scores.get(id) || 0) + 1 / (RRF_K + rank + 1)));
+  }
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([id]) => index.passages.get(id));
+}
+
+/**
+ * Describe where a passage comes from: meeting date and channel, then timestamp and speaker
+ * @param {object} passage - Passage (see searchMeetings)
+ * @returns {string} - Description
+ */
+export function describePassageSource({ meeting, offset, speaker }) {
+  const where = `${new Date(meeting.startTime).toISOString().slice(0, 10)}, ${meeting.channelName}`;
+  return offset === null ? `${where}, summary` : `${where}, ${formatTimestamp(offset)}, ${speaker}`;
+}
+
+/**
+ * Build the prompt that answers a question from numbered excerpts
+ * @param {string} question - Question
+ * @param {object[]} passages - Excerpts (see searchMeetings)
+ * @returns {string} - Prompt
+ */
+export function buildAnswerPrompt(question, passages) {
+  const excerpts = passages.map((passage, i) => `[${i + 1}] (${describePassageSource(passage)}) ${passage.text}`);
+  return [
+    'You answer questions about a team\'s past meetings, using only the excerpts of their transcripts and minutes below.',
+    'Cite the excerpts you use with their number in square brackets, e.g. [2], right after the statement they support.',
+    'If the excerpts do not answer the question, say so briefly instead of guessing. Answer in the language of the question, in at most a few sentences.',
+    '',
+    ...excerpts,
+    '',
+    `Question: ${question}`,
+  ].join('\n');
+}
+
+/**
+ * Answer a question about a guild's past meetings, with the passages the answer is based on
+ * @param {string} guildId - Guild ID
+ * @param {string} question - Question
+ * @param {object} [options]
+ * @param {number} [options.since=0] - Only use meetings that started after this (epoch ms)
+ * @returns {Promise<{answer: string|null, citations: object[], failed?: boolean}>} - Answer (null when nothing
+ *   matched) and the passages it cites, numbered as in the answer. If the answer could not be generated, `failed`
+ *   is set and the citations are the best passages instead.
+ */
+export async function answerQuestion(guildId, question, { since = 0 } = {}) {
+  const passages = await searchMeetings(guildId, question, { since });
+  if (passages.length === 0) return { answer: null, citations: [] };
+  const numbered = passages.map((passage, i) => ({ number: i + 1, ...passage }));
+
+  let answer;
+  try {
+    answer = (await generateText(buildAnswerPrompt(question, passages))).trim();
+  } catch (error) {
+    console.warn(`⚠️ Could not answer the question, showing the best passages instead: ${error.message}`);
+    return { answer: null, citations: numbered.slice(0, FALLBACK_PASSAGES), failed: true };
+  }
+  const cited = new Set([...answer.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+  return {
+    answer,
+    citations: numbered.filter(({ number }) => cited.has(number)),
+  };
+}
@@ -0,0 +1,139 @@
+import { mkdir, readFile, writeFile, rename, unlink, readdir, stat } from 'fs/promises';
+import path from 'path';
+
+// A manifest per guild describes the recording in progress, so the raw audio can be
+// processed after a crash or redeploy: recordings/<guildId>/session.json
+const RECORDINGS_ROOT = path.join(process.cwd(), 'recordings');
+const MANIFEST_NAME = 'session.json';
+
+const writeQueues = new Map(); // guild ID -> promise of the last write or removal of its manifest
+
+function manifestPath(guildId) {
+  return path.join(RECORDINGS_ROOT, guildId, MANIFEST_NAME);
+}
+
+// Changes to one guild's manifest run in call order, so an older snapshot never replaces a newer one
+// and a removed manifest is not written again. A failed change does not block the ones after it.
+function queueManifestChange(guildId, change) {
+  const run = (writeQueues.get(guildId) || Promise.resolve()).then(change);
+  writeQueues.set(guildId, run.catch(() => {}));
+  return run;
+}
+
+function writeManifest(guildId, manifest) {
+  const filePath = manifestPath(guildId);
+  const snapshot = JSON.stringify(manifest, null, 2);
+  return queueManifestChange(guildId, async () => {
+    await mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await writeFile(tmpPath, snapshot);
+    await rename(tmpPath, filePath);
+  });
+}
+
+/**
+ * Write (or replace) the manifest for a recording in progress
+ * @param {object} recordingData - The active recording (see startRecording in commands/voice.js)
+ * @returns {Promise<void>}
+ */
+export async function saveSessionManifest(recordingData) {
+  const guildId = recordingData.voiceChannel.guild.id;
+  const participants = {};
+  for (const [userId, { user, aggregatedPath }] of recordingData.audioStreams.entries()) {
+    participants[userId] = {
+      name: user?.displayName || user?.user?.tag || userId,
+      aggregatedPath: path.relative(process.cwd(), aggregatedPath),
+    };
+  }
+
+  const manifest = {
+    guildId,
+    voiceChannelId: recordingData.voiceChannel.id,
+    voiceChannelName: recordingData.voiceChannel.name,
+    textChannelId: recordingData.textChannelId,
+    startedById: recordingData.startedById || null,
+    startTime: recordingData.startTime,
+    stoppedAt: recordingData.endTime || null,
+    participants,
+    speakingBursts: Object.fromEntries(recordingData.speakingBursts || []),
+    excludedUsers: Object.fromEntries(recordingData.excludedUsers || []),
+    updatedAt: Date.now(),
+  };
+
+  try {
+    await writeManifest(guildId, manifest);
+  } catch (error) {
+    console.error(`Error writing session manifest for guild ${guildId}:`, error);
+  }
+}
+
+/**
+ * Read a guild's session manifest
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<object|null>} - Manifest, or null if there is none
+ */
+export async function readSessionManifest(guildId) {
+  try {
+    return JSON.parse(await readFile(manifestPath(guildId), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Error reading session manifest for guild ${guildId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Note on a guild's manifest that the "Process it" / "Discard" buttons were posted for it.
+ * Only such a session keeps new recordings from starting (see getStartBlocker in commands/voice.js).
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<void>}
+ */
+export async function markRecoveryOffered(guildId) {
+  const filePath = manifestPath(guildId);
+  await queueManifestChange(guildId, async () => {
+    const manifest = JSON.parse(await readFile(filePath, 'utf8'));
+    await writeFile(`${filePath}.tmp`, JSON.stringify({ ...manifest, recoveryOfferedAt: Date.now() }, null, 2));
+    await rename(`${filePath}.tmp`, filePath);
+  }).catch((error) => {
+    if (error.code !== 'ENOENT') console.error(`Error updating session manifest for guild ${guildId}:`, error);
+  });
+}
+
+/**
+ * Remove a guild's session manifest once the session has been processed or discarded
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<void>}
+ */
+export async function removeSessionManifest(guildId) {
+  await queueManifestChange(guildId, () => unlink(manifestPath(guildId))).catch((error) => {
+    if (error.code !== 'ENOENT') console.error(`Error removing session manifest for guild ${guildId}:`, error);
+  });
+}
+
+/**
+ * Find sessions whose manifest is still on disk and that have audio left to process
+ * @returns {Promise<object[]>} - Manifests, each with `lastWriteTime` (epoch ms of the newest audio write)
+ */
+export async function findUnfinishedSessions() {
+  const guildDirs = await readdir(RECORDINGS_ROOT).catch(() => []);
+  const sessions = [];
+
+  for (const guildId of guildDirs) {
+    const manifest = await readSessionManifest(guildId);
+    if (!manifest) continue;
+
+    let lastWriteTime = 0;
+    for (const { aggregatedPath } of Object.values(manifest.participants || {})) {
+      const info = await stat(path.resolve(aggregatedPath)).catch(() => null);
+      if (info && info.size > 0) lastWriteTime = Math.max(lastWriteTime, info.mtimeMs);
+    }
+
+    if (lastWriteTime > 0) {
+      sessions.push({ ...manifest, lastWriteTime });
+    } else {
+      // Nothing was captured (or it was already processed); the manifest is just a leftover
+      await removeSessionManifest(guildId);
+    }
+  }
+
+  return sessions;
+}
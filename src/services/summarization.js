@@ -1,35 +1,322 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { config } from 'dotenv';
+import { generateText } from './llm.js';
+import { getSummaryTemplate } from './templates.js';
+import { createCounter } from './metrics.js';
+import { parseTimestampedText, formatTimestamp } from '../utils/transcript.js';
 
 config();
 
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+// Used when a server has not described itself with /minutes-config prompt
+const DEFAULT_TEAM_CONTEXT = process.env.DEFAULT_TEAM_CONTEXT || 'a team';
+// One extra attempt, telling the model what was wrong with its JSON
+const MAX_SUMMARY_ATTEMPTS = 2;
+// Transcripts estimated above this many tokens are summarized section by section, then combined (map-reduce)
+const SUMMARY_MAP_REDUCE_TOKENS = Number(process.env.SUMMARY_MAP_REDUCE_TOKENS || 24000);
+// Length of a section in map-reduce mode; sections that would still be too long are cut earlier
+const SUMMARY_SECTION_MINUTES = Number(process.env.SUMMARY_SECTION_MINUTES || 15);
+
+// reason: "schema" when only a free-form summary could be kept, "error" when there is no summary at all
+const summaryFailures = createCounter('minutes_summary_failures_total', 'Summaries that failed (label: reason)');
+
+const SUMMARY_SCHEMA = `{
+  "overview": string,            // a few sentences describing the meeting
+  "decisions": string[],         // decisions that were made
+  "actionItems": [{
+    "task": string,              // what has to be done
+    "owner": string | null,      // exactly one of the participant names, or null if nobody was assigned
+    "due": string | null         // YYYY-MM-DD if a date can be worked out, otherwise the phrase used, or null
+  }],
+  "openQuestions": string[],     // questions raised but not answered
+  "topics": string[]             // short labels for the subjects discussed
+}`;
+
+const SECTION_SCHEMA = `{
+  "title": string,               // a few words naming what this part of the meeting was about
+  "points": string[],            // the main points discussed, one sentence each
+  "decisions": string[],         // decisions that were made
+  "actionItems": [{ "task": string, "owner": string | null, "due": string | null }],
+  "openQuestions": string[]      // questions raised but not answered in this part
+}`;
 
 /**
- * Summarize transcribed text using Google Gemini API
- * @param {string} text - Text to summarize
- * @returns {Promise<string>} - Summary
+ * Rough token count of a text (about four characters per token for English), used to decide
+ * whether a transcript fits in one summary prompt
+ * @param {string} text - Text
+ * @returns {number} - Estimated tokens
  */
-export async function summarizeText(text) {
-  try {
-    console.log('📝 Generating summary...');
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
 
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
+// What every prompt says about the team, the participants and the meeting
+function describeMeeting({ projectGlossary, language, participants, meetingDate } = {}) {
+  const lines = [];
+  if (projectGlossary) {
+    lines.push(`Projects and terms the team uses: ${projectGlossary}`);
+  }
+  if (participants?.length) {
+    lines.push(`Participants: ${participants.map(p => p.name).join(', ')}.`);
+  }
+  if (meetingDate) {
+    lines.push(`The meeting took place on ${new Date(meetingDate).toISOString().slice(0, 10)}.`);
+  }
+  if (language) {
+    lines.push(`Write the summary in ${language}.`);
+  }
+  return lines;
+}
 
-    const prompt = `You are a helpful assistant that creates concise summaries of voice chat transcriptions from a team called Flipas that is currently working on two main projects: Sombra and Aurora. Focus on key points, decisions made, and action items.
+/**
+ * Build the summary prompt from a server's prompt settings
+ * @param {string} text - Transcript
+ * @param {object} [context] - Settings from /minutes-config prompt, plus meeting details
+ * @param {string} [context.teamContext] - Who the team is and what it works on
+ * @param {string} [context.projectGlossary] - Project names and terms the model should know
+ * @param {string} [context.language] - Language to write the summary in
+ * @param {string} [context.template] - Template name (see templates.js)
+ * @param {Array<{id: string, name: string}>} [context.participants] - People who spoke
+ * @param {number} [context.meetingDate] - Recording start (epoch ms), to resolve relative due dates
+ * @param {object} [options]
+ * @param {boolean} [options.fromNotes=false] - `text` is section notes of a long meeting rather than the transcription
+ * @returns {string} - Prompt
+ */
+export function buildSummaryPrompt(text, context = {}, { fromNotes = false } = {}) {
+  const lines = [
+    `You are a helpful assistant that creates concise summaries of voice chat transcriptions from ${context.teamContext || DEFAULT_TEAM_CONTEXT}. ${getSummaryTemplate(context.template).instructions}`,
+    fromNotes
+      ? 'The meeting was long, so instead of the transcription you get notes on each part of it, in order, with their time ranges.'
+      : 'The transcription is a single chronological timeline where each line reads "[mm:ss] Speaker: text", so you can follow who responded to whom.',
+    ...describeMeeting(context),
+  ];
+  lines.push(
+    'Respond with a single JSON object and nothing else (no Markdown code fences), following this schema:',
+    SUMMARY_SCHEMA
+  );
+
+  return `${lines.join('\n')}
 
-Please summarize the following voice chat transcription:
+Please summarize the following ${fromNotes ? 'meeting notes' : 'voice chat transcription'}:
 
 ${text}`;
+}
+
+/**
+ * Build the prompt that summarizes one section of a long meeting (the "map" step)
+ * @param {string} text - Transcript of the section
+ * @param {{start: number, end: number}} section - Offsets of the section in seconds
+ * @param {object} [context] - Same as buildSummaryPrompt
+ * @returns {string} - Prompt
+ */
+export function buildSectionPrompt(text, { start, end }, context = {}) {
+  const lines = [
+    `You are a helpful assistant that takes notes on a long voice chat from ${context.teamContext || DEFAULT_TEAM_CONTEXT}.`,
+    `Below is the part of the transcription from ${formatTimestamp(start)} to ${formatTimestamp(end)}; each line reads "[mm:ss] Speaker: text".`,
+    'Write notes on this part only. They will be combined with the notes on the other parts into the meeting minutes.',
+    ...describeMeeting(context),
+    'Respond with a single JSON object and nothing else (no Markdown code fences), following this schema:',
+    SECTION_SCHEMA,
+  ];
+  return `${lines.join('\n')}\n\n${text}`;
+}
+
+// Render section notes as the input of the "reduce" step
+function renderSectionNotes(sections) {
+  return sections.map(({ start, end, title, points, decisions, actionItems, openQuestions }) => {
+    const lines = [`## [${formatTimestamp(start)}–${formatTimestamp(end)}] ${title}`];
+    lines.push(...points.map(point => `- ${point}`));
+    lines.push(...decisions.map(decision => `- Decision: ${decision}`));
+    lines.push(...actionItems.map(({ task, owner, due }) =>
+      `- Action item: ${task}${owner ? ` (owner: ${owner})` : ''}${due ? ` (due: ${due})` : ''}`));
+    lines.push(...openQuestions.map(question => `- Open question: ${question}`));
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+// Accept a bare JSON object, or one wrapped in ``` fences despite the instructions
+function extractJson(raw) {
+  const text = String(raw || '').trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error('response does not contain a JSON object');
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+function toStringList(value, field) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new Error(`"${field}" must be an array`);
+  return value.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Match an owner name from the model against the people who actually spoke
+function findParticipant(owner, participants = []) {
+  if (!owner) return null;
+  const wanted = owner.toLowerCase().replace(/^@/, '').trim();
+  return participants.find(p => p.name.toLowerCase() === wanted)
+    || participants.find(p => p.name.toLowerCase().includes(wanted) || wanted.includes(p.name.toLowerCase()))
+    || null;
+}
+
+/**
+ * Validate a parsed summary against the schema and normalize it
+ * @param {object} data - Parsed JSON from the model
+ * @param {Array<{id: string, name: string}>} [participants] - People who spoke, used to resolve owners
+ * @returns {{overview: string, decisions: string[], actionItems: Array<{task: string, owner: string|null, ownerId: string|null, due: string|null}>, openQuestions: string[], topics: string[]}}
+ * @throws {Error} - Describing the first schema violation
+ */
+export function validateSummary(data, participants = []) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('summary must be a JSON object');
+  if (typeof data.overview !== 'string' || !data.overview.trim()) throw new Error('"overview" must be a non-empty string');
+  if (data.actionItems !== undefined && data.actionItems !== null && !Array.isArray(data.actionItems)) {
+    throw new Error('"actionItems" must be an array');
+  }
+
+  const actionItems = (data.actionItems || []).map((item, index) => {
+    if (!item || typeof item.task !== 'string' || !item.task.trim()) {
+      throw new Error(`actionItems[${index}].task must be a non-empty string`);
+    }
+    const owner = typeof item.owner === 'string' && item.owner.trim() ? item.owner.trim() : null;
+    const participant = findParticipant(owner, participants);
+    return {
+      task: item.task.trim(),
+      owner: participant?.name || owner,
+      ownerId: participant?.id || null,
+      due: typeof item.due === 'string' && item.due.trim() ? item.due.trim() : null,
+    };
+  });
+
+  return {
+    overview: data.overview.trim(),
+    decisions: toStringList(data.decisions, 'decisions'),
+    actionItems,
+    openQuestions: toStringList(data.openQuestions, 'openQuestions'),
+    topics: toStringList(data.topics, 'topics'),
+  };
+}
+
+// Validate the notes on one section; action items are checked the same way as in a full summary
+function validateSection(data, participants = []) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('section notes must be a JSON object');
+  const { decisions, actionItems, openQuestions } = validateSummary({ ...data, overview: 'section' }, participants);
+  return {
+    title: typeof data.title === 'string' && data.title.trim() ? data.title.trim() : 'Untitled section',
+    points: toStringList(data.points, 'points'),
+    decisions,
+    actionItems,
+    openQuestions,
+  };
+}
+
+// Ask for JSON until it validates. Returns the last raw answer too, so callers can fall back to it.
+async function generateValidated(prompt, validate) {
+  let raw = '';
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= MAX_SUMMARY_ATTEMPTS; attempt++) {
+    const retryNote = lastError
+      ? `\n\nYour previous answer was not valid (${lastError.message}). Reply again with only the JSON object.`
+      : '';
+    raw = await generateText(prompt + retryNote);
+    try {
+      return { value: validate(extractJson(raw)), raw };
+    } catch (error) {
+      lastError = error;
+      console.warn(`⚠️ Answer did not match the schema (attempt ${attempt}/${MAX_SUMMARY_ATTEMPTS}): ${error.message}`);
+    }
+  }
+  return { value: null, raw };
+}
+
+/**
+ * Cut a transcript into time windows of SUMMARY_SECTION_MINUTES, closing a section early when
+ * it would not fit in one prompt
+ * @param {string} text - Transcript of "[mm:ss] Speaker: text" lines
+ * @returns {Array<{start: number, end: number, text: string}>} - Sections (offsets in seconds)
+ */
+export function splitTranscriptSections(text) {
+  const windowSeconds = SUMMARY_SECTION_MINUTES * 60;
+  const maxTokens = SUMMARY_MAP_REDUCE_TOKENS / 2;
+  const sections = [];
+  let current = null;
+
+  for (const { offset, text: line } of parseTimestampedText(text)) {
+    const rendered = `[${formatTimestamp(offset)}] ${line}`;
+    const full = current && estimateTokens(current.text) + estimateTokens(rendered) > maxTokens;
+    if (!current || offset >= current.start + windowSeconds || full) {
+      if (current) current.end = offset;
+      current = { start: offset, end: offset, text: rendered };
+      sections.push(current);
+    } else {
+      current.text += `\n${rendered}`;
+      current.end = offset;
+    }
+  }
+  return sections;
+}
+
+// Map-reduce: notes per section, then minutes out of the notes. The summary keeps the sections as an outline.
+async function summarizeInSections(text, context) {
+  const sections = splitTranscriptSections(text);
+  console.log(`🧱 Long transcript (~${estimateTokens(text)} tokens); summarizing ${sections.length} section(s) first`);
+
+  const notes = [];
+  for (const section of sections) {
+    const { value, raw } = await generateValidated(
+      buildSectionPrompt(section.text, section, context),
+      data => validateSection(data, context.participants)
+    );
+    notes.push({
+      start: section.start,
+      end: section.end,
+      ...(value || { title: 'Untitled section', points: [raw.trim()].filter(Boolean), decisions: [], actionItems: [], openQuestions: [] }),
+    });
+  }
+
+  const prompt = buildSummaryPrompt(renderSectionNotes(notes), context, { fromNotes: true });
+  const { value, raw } = await generateValidated(prompt, data => validateSummary(data, context.participants));
+  const outline = notes.map(({ start, end, title, points }) => ({ start, end, title, points }));
+
+  if (!value) {
+    console.warn('⚠️ Falling back to a free-form summary');
+    summaryFailures.inc({ reason: 'schema' });
+    return { ...validateSummary({ overview: raw.trim() || 'No summary available.' }), outline };
+  }
+  return { ...value, outline };
+}
+
+/**
+ * Summarize transcribed text into structured minutes using the configured LLM provider (see llm.js)
+ * @param {string} text - Text to summarize
+ * @param {object} [context] - The server's prompt settings and meeting details (see buildSummaryPrompt)
+ * @returns {Promise<object|null>} - Structured summary (see validateSummary), or null if every provider failed
+ */
+export async function summarizeText(text, context = {}) {
+  try {
+    console.log(`📝 Generating summary (${getSummaryTemplate(context.template).label})...`);
+
+    if (estimateTokens(text) > SUMMARY_MAP_REDUCE_TOKENS) {
+      const summary = await summarizeInSections(text, context);
+      console.log('✅ Summary generated');
+      return summary;
+    }
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const summary = response.text();
+    const { value, raw } = await generateValidated(
+      buildSummaryPrompt(text, context),
+      data => validateSummary(data, context.participants)
+    );
+    if (value) {
+      console.log('✅ Summary generated');
+      return value;
+    }
 
-    console.log('✅ Summary generated');
-    return summary;
+    // Keep whatever the model wrote rather than losing the summary entirely
+    console.warn('⚠️ Falling back to a free-form summary');
+    summaryFailures.inc({ reason: 'schema' });
+    return validateSummary({ overview: raw.trim() || 'No summary available.' });
   } catch (error) {
     console.error('Error generating summary:', error.message);
+    summaryFailures.inc({ reason: 'error' });
     return null;
   }
 }
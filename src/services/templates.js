@@ -0,0 +1,43 @@
+// Named summary templates. Each one tells the model what kind of meeting it is reading
+// and which sections the summary should have.
+export const SUMMARY_TEMPLATES = {
+  general: {
+    label: 'General meeting',
+    instructions: 'Focus on key points, decisions made, and action items.',
+  },
+  standup: {
+    label: 'Daily standup',
+    instructions:
+      'This is a daily standup. For each participant, list what they did since the last standup, ' +
+      'what they plan to do next, and any blockers. Finish with blockers that need follow-up.',
+  },
+  retro: {
+    label: 'Retrospective',
+    instructions:
+      'This is a retrospective. Group the discussion into what went well, what did not go well, ' +
+      'and the improvement actions the team agreed on (with owners when mentioned).',
+  },
+  planning: {
+    label: 'Planning',
+    instructions:
+      'This is a planning meeting. Summarize the goals, the work items that were scoped or prioritized, ' +
+      'estimates and owners, dependencies and risks, and anything left undecided.',
+  },
+  interview: {
+    label: 'Interview',
+    instructions:
+      'This is an interview. Summarize the questions asked, the candidate\'s answers and notable strengths ' +
+      'or concerns. Stay factual and do not make a hiring recommendation.',
+  },
+};
+
+export const DEFAULT_TEMPLATE = 'general';
+
+/**
+ * Look up a template, falling back to the general one
+ * @param {string} [name] - Template name
+ * @returns {{label: string, instructions: string}} - Template
+ */
+export function getSummaryTemplate(name) {
+  return SUMMARY_TEMPLATES[name] || SUMMARY_TEMPLATES[DEFAULT_TEMPLATE];
+}
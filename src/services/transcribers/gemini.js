@@ -0,0 +1,47 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { readFile } from 'fs/promises';
+import { config } from 'dotenv';
+import { parseTimestampedText } from '../../utils/transcript.js';
+
+config();
+
+const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+const GEMINI_TRANSCRIPTION_MODEL = process.env.GEMINI_TRANSCRIPTION_MODEL || 'gemini-2.0-flash';
+
+const TRANSCRIPTION_PROMPT =
+  'Please transcribe this audio file. Start every utterance on a new line prefixed with the time it begins in the audio, ' +
+  'formatted as [mm:ss] (for example "[01:23] Hello everyone"). ' +
+  'Provide only the transcription lines without any additional commentary.';
+
+export const name = 'gemini';
+
+/**
+ * Transcribe an MP3 file with Google Gemini (audio is sent inline as base64)
+ * @param {string} filePath - Path to the audio file
+ * @param {object} [options]
+ * @param {string} [options.vocabulary] - Names and terms that may come up, spelled correctly
+ * @returns {Promise<Array<{offset: number, text: string}>>} - Timestamped segments
+ */
+export async function transcribe(filePath, { vocabulary } = {}) {
+  const audioData = await readFile(filePath);
+  const base64Audio = audioData.toString('base64');
+
+  const model = genAI.getGenerativeModel({ model: GEMINI_TRANSCRIPTION_MODEL });
+
+  const result = await model.generateContent([
+    {
+      inlineData: {
+        mimeType: 'audio/mpeg', // matches our MP3 output
+        data: base64Audio,
+      },
+    },
+    {
+      text: vocabulary
+        ? `${TRANSCRIPTION_PROMPT} These names and terms may come up; spell them exactly like this: ${vocabulary}.`
+        : TRANSCRIPTION_PROMPT,
+    },
+  ]);
+
+  const response = await result.response;
+  return parseTimestampedText(response.text());
+}
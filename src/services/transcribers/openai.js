@@ -0,0 +1,57 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { config } from 'dotenv';
+import { parseTimestampedText } from '../../utils/transcript.js';
+
+config();
+
+// Any server implementing OpenAI's /audio/transcriptions works (OpenAI, faster-whisper-server, LocalAI, ...)
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const OPENAI_TRANSCRIPTION_MODEL = process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1';
+
+export const name = 'openai';
+
+/**
+ * Transcribe an MP3 file with an OpenAI-compatible Whisper endpoint
+ * @param {string} filePath - Path to the audio file
+ * @param {object} [options]
+ * @param {string} [options.vocabulary] - Names and terms that may come up, spelled correctly
+ * @returns {Promise<Array<{offset: number, text: string}>>} - Timestamped segments
+ */
+export async function transcribe(filePath, { vocabulary } = {}) {
+  const audioData = await readFile(filePath);
+
+  const form = new FormData();
+  form.append('file', new Blob([audioData], { type: 'audio/mpeg' }), path.basename(filePath));
+  form.append('model', OPENAI_TRANSCRIPTION_MODEL);
+  // verbose_json includes per-segment start times
+  form.append('response_format', 'verbose_json');
+  // Whisper copies the spelling of words in its prompt
+  if (vocabulary) form.append('prompt', `Glossary: ${vocabulary}.`);
+
+  const headers = {};
+  if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+
+  const response = await fetch(`${OPENAI_BASE_URL}/audio/transcriptions`, {
+    method: 'POST',
+    headers,
+    body: form,
+  });
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    const error = new Error(`Transcription endpoint returned ${response.status}: ${body.slice(0, 500)}`);
+    error.status = response.status;
+    const retryAfter = Number(response.headers.get('retry-after'));
+    if (Number.isFinite(retryAfter) && retryAfter > 0) error.retryAfterMs = retryAfter * 1000;
+    throw error;
+  }
+
+  const result = await response.json();
+  if (Array.isArray(result.segments) && result.segments.length > 0) {
+    return result.segments
+      .map(segment => ({ offset: Number(segment.start) || 0, text: String(segment.text || '').trim() }))
+      .filter(segment => segment.text);
+  }
+  return parseTimestampedText(result.text);
+}
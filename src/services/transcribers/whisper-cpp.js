@@ -0,0 +1,67 @@
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { readFile, unlink } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { config } from 'dotenv';
+import { resolvedFfmpegPath } from '../audio.js';
+
+config();
+
+const execAsync = promisify(exec);
+
+// Local, offline transcription with whisper.cpp (https://github.com/ggerganov/whisper.cpp)
+const WHISPER_CPP_PATH = process.env.WHISPER_CPP_PATH || 'whisper-cli';
+const WHISPER_CPP_MODEL = process.env.WHISPER_CPP_MODEL;
+const WHISPER_CPP_LANGUAGE = process.env.WHISPER_CPP_LANGUAGE || 'auto';
+const WHISPER_CPP_THREADS = Number(process.env.WHISPER_CPP_THREADS || 4);
+
+export const name = 'whisper-cpp';
+
+/**
+ * Transcribe an audio file locally with the whisper.cpp CLI
+ * @param {string} filePath - Path to the audio file
+ * @param {object} [options]
+ * @param {string} [options.vocabulary] - Names and terms that may come up, spelled correctly
+ * @returns {Promise<Array<{offset: number, text: string}>>} - Timestamped segments
+ */
+export async function transcribe(filePath, { vocabulary } = {}) {
+  if (!WHISPER_CPP_MODEL || !existsSync(WHISPER_CPP_MODEL)) {
+    const error = new Error('WHISPER_CPP_MODEL must point to a ggml model file');
+    error.permanent = true;
+    throw error;
+  }
+
+  const base = path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}_whisper`);
+  const wavPath = `${base}.wav`;
+  const jsonPath = `${base}.json`;
+
+  try {
+    // whisper.cpp only reads 16 kHz mono WAV
+    await execAsync(
+      `"${resolvedFfmpegPath}" -y -i "${filePath}" -ar 16000 -ac 1 -c:a pcm_s16le "${wavPath}"`,
+      { timeout: 300000, maxBuffer: 10 * 1024 * 1024 }
+    );
+
+    // The prompt goes through the shell, so only plain words and punctuation are kept
+    const prompt = vocabulary ? ` --prompt "Glossary: ${vocabulary.replace(/[^\p{L}\p{N} ,.'-]/gu, '')}."` : '';
+
+    // Transcription runs on the CPU and can take a while; allow up to an hour
+    await execAsync(
+      `"${WHISPER_CPP_PATH}" -m "${WHISPER_CPP_MODEL}" -f "${wavPath}" -l ${WHISPER_CPP_LANGUAGE} -t ${WHISPER_CPP_THREADS}${prompt} -np -oj -of "${base}"`,
+      { timeout: 3600000, maxBuffer: 50 * 1024 * 1024 }
+    );
+
+    const result = JSON.parse(await readFile(jsonPath, 'utf8'));
+    return (result.transcription || [])
+      .map(segment => ({ offset: (segment.offsets?.from || 0) / 1000, text: String(segment.text || '').trim() }))
+      .filter(segment => segment.text);
+  } catch (error) {
+    // A missing binary will not fix itself on retry
+    if (error.code === 127 || /not found|ENOENT/i.test(error.message)) error.permanent = true;
+    throw error;
+  } finally {
+    await unlink(wavPath).catch(() => {});
+    await unlink(jsonPath).catch(() => {});
+  }
+}
@@ -0,0 +1,391 @@
+import { mkdir, readFile, writeFile, rename, unlink, readdir, rm, open } from 'fs/promises';
+import path from 'path';
+import { config } from 'dotenv';
+import { transcribeAudio } from './transcription.js';
+import { encodePcmRangeToMp3 } from './audio.js';
+import { getMeeting, saveMeeting } from './archive.js';
+import { getGuildConfig } from './guild-config.js';
+import { summarizeText } from './summarization.js';
+import { redactNames, redactNamesDeep } from './consent.js';
+import { hasSpeechBetween } from './live-transcription.js';
+import { createGauge } from './metrics.js';
+import {
+  mergeTimeline,
+  assignSegmentEnds,
+  renderTranscript,
+  markTranscriptionGaps,
+  removeSeamOverlap,
+} from '../utils/transcript.js';
+import { PCM_BYTES_PER_MS, msToPcmBytes, findQuietestStretch } from '../utils/pcm.js';
+import { DATA_DIR } from '../utils/paths.js';
+
+config();
+
+// A meeting's audio is cut into chunks that are transcribed in parallel. The state of every chunk is
+// kept in DATA_DIR/transcription-jobs/<guildId>/<meetingId>.json, and the audio of a chunk is kept
+// until it is transcribed, so failed chunks can be retried later (automatically or with /minutes retry).
+const JOBS_DIR = path.join(DATA_DIR, 'transcription-jobs');
+const RECORDINGS_ROOT = path.join(process.cwd(), 'recordings');
+
+// Chunks are about CHUNK_SECONDS long, cut at a pause found in the last quarter before that length,
+// and start CHUNK_OVERLAP_SECONDS before the previous chunk ends so no word is lost at the cut
+export const CHUNK_SECONDS = Number(process.env.CHUNK_SECONDS || 120);
+const CHUNK_OVERLAP_MS = Number(process.env.CHUNK_OVERLAP_SECONDS ?? 1) * 1000;
+const MIN_PAUSE_MS = 300;
+const CONCURRENCY = Math.max(1, Number(process.env.TRANSCRIPTION_CONCURRENCY || 3));
+const RETRY_INTERVAL_MS = Number(process.env.TRANSCRIPTION_RETRY_MINUTES || 15) * 60 * 1000;
+// Automatic retries stop after this many attempts per chunk; /minutes retry always tries again
+const MAX_AUTOMATIC_ATTEMPTS = Number(process.env.TRANSCRIPTION_MAX_CHUNK_ATTEMPTS || 5);
+// A job without an archived meeting after this long belongs to a recording that was processed again from scratch
+// (the bot stopped before the meeting's provisional record was saved, so the session manifest was still there)
+const ORPHAN_JOB_MS = 24 * 60 * 60 * 1000;
+
+let activeChunks = 0;
+const waitingChunks = []; // resolvers, first come first served
+const runningJobs = new Set(); // "<guildId>/<meetingId>"
+const writeQueues = new Map(); // job file -> promise of the last write
+
+createGauge('minutes_transcription_queue_depth', 'Chunks waiting for a transcription slot', () => waitingChunks.length);
+
+function jobPath(guildId, meetingId) {
+  return path.join(JOBS_DIR, guildId, `${meetingId}.json`);
+}
+
+function chunkDir(guildId, meetingId) {
+  return path.join(RECORDINGS_ROOT, guildId, 'jobs', meetingId);
+}
+
+// Run a task once one of the CONCURRENCY slots is free. A finishing task hands its slot straight to the next one.
+async function withSlot(task) {
+  if (activeChunks >= CONCURRENCY) await new Promise(resolve => waitingChunks.push(resolve));
+  else activeChunks++;
+  try {
+    return await task();
+  } finally {
+    const next = waitingChunks.shift();
+    if (next) next();
+    else activeChunks--;
+  }
+}
+
+// Writes of one job are serialized, so the file always holds the latest complete state
+function saveJob(job) {
+  const filePath = jobPath(job.guildId, job.meetingId);
+  job.updatedAt = Date.now();
+  const snapshot = JSON.stringify(job, null, 2);
+  const write = (writeQueues.get(filePath) || Promise.resolve()).then(async () => {
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(`${filePath}.tmp`, snapshot);
+    await rename(`${filePath}.tmp`, filePath);
+  }).catch((error) => console.error(`Error saving transcription job ${job.meetingId}:`, error));
+  writeQueues.set(filePath, write);
+  return write;
+}
+
+// The longest pause between the user's speaking bursts inside [fromMs, toMs), if it is long enough to cut in
+function longestBurstGap(bursts, fromMs, toMs) {
+  let best = null;
+  let cursor = fromMs;
+  const inside = bursts
+    .filter(({ start, end }) => start < toMs && (end ?? Infinity) > fromMs)
+    .sort((a, b) => a.start - b.start);
+  for (const { start, end } of [...inside, { start: toMs, end: toMs }]) {
+    const length = Math.min(start, toMs) - cursor;
+    if (length >= MIN_PAUSE_MS && (!best || length > best.end - best.start)) best = { start: cursor, end: Math.min(start, toMs) };
+    cursor = Math.max(cursor, end ?? Infinity);
+    if (cursor >= toMs) break;
+  }
+  return best;
+}
+
+// Where a chunk starting at startMs should end: in a pause between speaking bursts if there is one near the
+// target length, else at the quietest moment of that stretch of audio (people breathe mid-burst too)
+async function chooseChunkEnd(handle, bursts, startMs, totalMs) {
+  const targetMs = startMs + CHUNK_SECONDS * 1000;
+  if (targetMs >= totalMs) return totalMs;
+  const searchFromMs = targetMs - (CHUNK_SECONDS * 1000) / 4;
+
+  const gap = longestBurstGap(bursts, searchFromMs, targetMs);
+  if (gap) return Math.round((gap.start + gap.end) / 2);
+
+  const start = msToPcmBytes(searchFromMs);
+  const pcm = Buffer.alloc(msToPcmBytes(targetMs) - start);
+  const { bytesRead } = await handle.read(pcm, 0, pcm.length, start);
+  const quietest = findQuietestStretch(pcm.subarray(0, bytesRead), MIN_PAUSE_MS);
+  return quietest ? Math.round(searchFromMs + quietest.offsetMs) : targetMs;
+}
+
+/**
+ * Cut the part of a user's track that still needs transcribing into chunks and encode them.
+ * Cuts are made at pauses (see chooseChunkEnd), every chunk but the first also covers the last
+ * CHUNK_OVERLAP_SECONDS of the one before, and chunks without any speaking burst are skipped.
+ * @param {object} options
+ * @param {string} options.guildId - Guild ID
+ * @param {string} options.meetingId - Meeting ID
+ * @param {string} options.userId - Speaker's user ID
+ * @param {string} options.speaker - Speaker's display name
+ * @param {string} options.pcmPath - The user's silence-padded PCM file (file offsets are meeting offsets)
+ * @param {number} [options.fromMs=0] - Where transcription starts (live mode already did the rest)
+ * @param {Array<{start: number, end: number|null}>} [options.bursts] - The user's speaking bursts
+ * @param {number} options.sizeBytes - Size of the PCM file
+ * @returns {Promise<object[]>} - Pending chunks (see createTranscriptionJob)
+ */
+export async function prepareChunks({ guildId, meetingId, userId, speaker, pcmPath, fromMs = 0, bursts = [], sizeBytes }) {
+  const totalMs = sizeBytes / PCM_BYTES_PER_MS;
+  const dir = chunkDir(guildId, meetingId);
+  await mkdir(dir, { recursive: true });
+
+  const chunks = [];
+  const handle = await open(pcmPath, 'r');
+  try {
+    let cutMs = fromMs;
+    while (cutMs < totalMs) {
+      const endMs = await chooseChunkEnd(handle, bursts, cutMs, totalMs);
+      // Live mode's transcript ends at fromMs, so the first chunk overlaps it like any other seam
+      const startMs = Math.max(0, cutMs - CHUNK_OVERLAP_MS);
+      const overlapMs = cutMs - startMs;
+      const hasSpeech = hasSpeechBetween(bursts, cutMs, endMs);
+      cutMs = endMs;
+      if (!hasSpeech) continue;
+
+      const audioPath = path.join(dir, `${userId}_${Math.round(startMs)}.mp3`);
+      const chunk = {
+        id: `${userId}_${Math.round(startMs)}`,
+        speakerId: userId,
+        speaker,
+        startMs,
+        endMs,
+        overlapMs,
+        audioPath: path.relative(process.cwd(), audioPath),
+        status: 'pending',
+        attempts: 0,
+        error: null,
+        segments: [],
+      };
+      const encoded = await encodePcmRangeToMp3(pcmPath, msToPcmBytes(startMs), msToPcmBytes(endMs), audioPath)
+        .catch((error) => {
+          console.error(`Error encoding chunk ${chunk.id}:`, error.message);
+          return false;
+        });
+      if (!encoded) {
+        Object.assign(chunk, { status: 'failed', error: 'Could not encode the audio', audioPath: null });
+      }
+      chunks.push(chunk);
+    }
+  } finally {
+    await handle.close();
+  }
+  return chunks;
+}
+
+/**
+ * Create and save the transcription job of a meeting
+ * @param {object} job
+ * @param {string} job.guildId - Guild ID
+ * @param {string} job.meetingId - Meeting ID
+ * @param {object[]} job.chunks - Chunks: {id, speakerId, speaker, startMs, endMs, audioPath, status, attempts, error, segments}.
+ *   Segment offsets are seconds from the meeting start. Status is pending, done or failed.
+ * @param {object} job.speakingBursts - Speaking bursts per user ID, to time the transcript entries
+ * @param {number} job.recordingEndSeconds - Length of the recording
+ * @param {string[]} [job.redactedNames] - Names of members who were not recorded
+ * @returns {Promise<object>} - The job
+ */
+export async function createTranscriptionJob({ guildId, meetingId, chunks, speakingBursts, recordingEndSeconds, redactedNames = [] }) {
+  const job = { guildId, meetingId, createdAt: Date.now(), chunks, speakingBursts, recordingEndSeconds, redactedNames };
+  await saveJob(job);
+  return job;
+}
+
+/**
+ * Load a meeting's transcription job
+ * @param {string} guildId - Guild ID
+ * @param {string} meetingId - Meeting ID
+ * @returns {Promise<object|null>} - Job, or null if there is none (every chunk was transcribed)
+ */
+export async function getTranscriptionJob(guildId, meetingId) {
+  try {
+    return JSON.parse(await readFile(jobPath(guildId, meetingId), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Error reading transcription job ${meetingId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete a meeting's transcription job and any chunk audio it still holds
+ * @param {string} guildId - Guild ID
+ * @param {string} meetingId - Meeting ID
+ */
+export async function removeTranscriptionJob(guildId, meetingId) {
+  await unlink(jobPath(guildId, meetingId)).catch(() => {});
+  await rm(chunkDir(guildId, meetingId), { recursive: true, force: true }).catch(console.error);
+}
+
+async function transcribeChunk(job, chunk) {
+  chunk.attempts++;
+  // Everyone in the meeting, so names mentioned by other speakers are spelled right too
+  const participants = [...new Set(job.chunks.map(({ speaker }) => speaker))];
+  const segments = chunk.audioPath
+    ? await transcribeAudio(path.resolve(chunk.audioPath), { guildId: job.guildId, participants })
+    : null;
+  if (segments) {
+    chunk.segments = segments.map(({ offset, text }) => ({ offset: offset + chunk.startMs / 1000, text }));
+    chunk.status = 'done';
+    chunk.error = null;
+    await unlink(path.resolve(chunk.audioPath)).catch(() => {});
+    chunk.audioPath = null;
+  } else {
+    chunk.status = 'failed';
+    chunk.error = chunk.audioPath ? `Transcription failed (attempt ${chunk.attempts})` : chunk.error;
+    console.warn(`⚠️ Chunk ${chunk.id} of meeting ${job.meetingId} could not be transcribed (attempt ${chunk.attempts})`);
+  }
+  await saveJob(job);
+}
+
+/**
+ * Transcribe every chunk of a job that is not done yet, in parallel (TRANSCRIPTION_CONCURRENCY
+ * chunks at a time across all meetings). Progress is saved after every chunk.
+ * @param {object} job - Job (updated in place)
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts=Infinity] - Skip failed chunks that were already tried this often
+ * @returns {Promise<{done: number, failed: number}|null>} - Chunk counts, or null if the job is already running
+ */
+export async function runTranscriptionJob(job, { maxAttempts = Infinity } = {}) {
+  const key = `${job.guildId}/${job.meetingId}`;
+  if (runningJobs.has(key)) return null;
+  runningJobs.add(key);
+
+  try {
+    const todo = job.chunks.filter(chunk =>
+      chunk.status === 'pending' || (chunk.status === 'failed' && chunk.audioPath && chunk.attempts < maxAttempts));
+    if (todo.length > 0) console.log(`🧩 Transcribing ${todo.length} chunk(s) of meeting ${job.meetingId} (${CONCURRENCY} at a time)`);
+    await Promise.all(todo.map(chunk => withSlot(() => transcribeChunk(job, chunk))));
+  } finally {
+    runningJobs.delete(key);
+  }
+
+  const done = job.chunks.filter(chunk => chunk.status === 'done').length;
+  return { done, failed: job.chunks.length - done };
+}
+
+/**
+ * Build the meeting timeline out of a job's transcribed chunks, with a marker for every chunk that failed
+ * @param {object} job - Job
+ * @returns {{timeline: object[], gaps: object[]}} - Timeline entries (see utils/transcript.js) and untranscribed ranges
+ */
+export function buildJobTimeline(job) {
+  const bySpeaker = new Map();
+  const doneChunks = job.chunks.filter(chunk => chunk.status === 'done').sort((a, b) => a.startMs - b.startMs);
+  for (const chunk of doneChunks) {
+    const entry = bySpeaker.get(chunk.speakerId) || { speakerId: chunk.speakerId, speaker: chunk.speaker, segments: [], endMs: 0 };
+    const segments = chunk.segments.map(segment => ({ ...segment }));
+
+    // Overlapping chunks transcribe the seam twice; keep it in the earlier chunk
+    const previous = entry.segments[entry.segments.length - 1];
+    if (chunk.overlapMs > 0 && previous && segments.length > 0 && entry.endMs > chunk.startMs) {
+      segments[0].text = removeSeamOverlap(previous.text, segments[0].text);
+      if (!segments[0].text) segments.shift();
+    }
+
+    entry.segments.push(...segments);
+    entry.endMs = chunk.endMs;
+    bySpeaker.set(chunk.speakerId, entry);
+  }
+  for (const entry of bySpeaker.values()) entry.segments.sort((a, b) => a.offset - b.offset);
+
+  const bursts = new Map(Object.entries(job.speakingBursts || {}));
+  const gaps = job.chunks
+    .filter(chunk => chunk.status !== 'done')
+    .map(({ speakerId, speaker, startMs, endMs }) => ({ speakerId, speaker, startMs, endMs }));
+  const timeline = markTranscriptionGaps(
+    assignSegmentEnds(mergeTimeline([...bySpeaker.values()]), bursts, job.recordingEndSeconds),
+    gaps
+  ).map(entry => ({ ...entry, text: redactNames(entry.text, job.redactedNames) }));
+
+  return { timeline, gaps };
+}
+
+/**
+ * Try the failed chunks of a meeting again. When any of them succeed, the archived meeting gets the
+ * new transcript and a fresh summary. The job is removed once every chunk is transcribed.
+ * @param {string} guildId - Guild ID
+ * @param {string} meetingId - Meeting ID
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts] - Skip chunks that were already tried this often
+ * @returns {Promise<{recovered: number, remaining: number, meeting: object|null}|null>} - Outcome, or null if
+ *   there is nothing to retry (no job), the job is already running or the meeting is still being processed
+ */
+export async function retryTranscriptionJob(guildId, meetingId, { maxAttempts } = {}) {
+  const job = await getTranscriptionJob(guildId, meetingId);
+  if (!job) return null;
+  // A meeting whose minutes were never posted is finished by resumeMeeting (see setupTranscriptionRetries)
+  if ((await getMeeting(guildId, meetingId))?.processing) return null;
+
+  const failedBefore = job.chunks.filter(chunk => chunk.status !== 'done').length;
+  const counts = await runTranscriptionJob(job, { maxAttempts });
+  if (!counts) return null;
+  const recovered = failedBefore - counts.failed;
+
+  let meeting = await getMeeting(guildId, meetingId);
+  if (meeting && recovered > 0) {
+    const { timeline, gaps } = buildJobTimeline(job);
+    meeting.timeline = timeline;
+    meeting.transcript = renderTranscript(timeline);
+    meeting.transcriptionGaps = gaps.length;
+
+    if (timeline.some(entry => !entry.gap)) {
+      const guildConfig = await getGuildConfig(guildId);
+      const summary = await summarizeText(meeting.transcript, {
+        ...guildConfig.summary,
+        participants: meeting.participants,
+        meetingDate: meeting.startTime,
+      });
+      if (summary) meeting.summary = redactNamesDeep(summary, job.redactedNames);
+    }
+    meeting = await saveMeeting(meeting);
+    console.log(`🧩 Recovered ${recovered} chunk(s) of meeting ${meetingId}; ${counts.failed} still missing`);
+  }
+
+  if (counts.failed === 0) await removeTranscriptionJob(guildId, meetingId);
+  return { recovered, remaining: counts.failed, meeting };
+}
+
+// Finish meetings whose processing was interrupted, retry every job with chunks left to try,
+// and drop jobs whose meeting was never archived
+async function retryFailedJobs(resumeMeeting) {
+  const guildIds = await readdir(JOBS_DIR).catch(() => []);
+  for (const guildId of guildIds) {
+    const files = await readdir(path.join(JOBS_DIR, guildId)).catch(() => []);
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const meetingId = path.basename(file, '.json');
+      const job = await getTranscriptionJob(guildId, meetingId);
+      if (!job || runningJobs.has(`${guildId}/${meetingId}`)) continue;
+
+      const meeting = await getMeeting(guildId, meetingId);
+      if (!meeting) {
+        if (Date.now() - job.createdAt > ORPHAN_JOB_MS) await removeTranscriptionJob(guildId, meetingId);
+        continue;
+      }
+      // Only a provisional record was archived: the bot stopped before the minutes were posted
+      if (meeting.processing) {
+        await resumeMeeting(meeting, job);
+        continue;
+      }
+      const retryable = job.chunks.some(chunk =>
+        chunk.status === 'pending' || (chunk.status === 'failed' && chunk.audioPath && chunk.attempts < MAX_AUTOMATIC_ATTEMPTS));
+      if (retryable) await retryTranscriptionJob(guildId, meetingId, { maxAttempts: MAX_AUTOMATIC_ATTEMPTS });
+    }
+  }
+}
+
+/**
+ * Shortly after startup and then every TRANSCRIPTION_RETRY_MINUTES, retry failed transcription chunks of
+ * archived meetings, and hand meetings whose processing was interrupted (their archive record is still
+ * provisional) to `resumeMeeting`, which transcribes the rest, posts the minutes and completes the record
+ * @param {(meeting: object, job: object) => Promise<void>} resumeMeeting - Finish an interrupted meeting
+ */
+export function setupTranscriptionRetries(resumeMeeting) {
+  const run = () => retryFailedJobs(resumeMeeting).catch((error) => console.error('Error retrying transcriptions:', error));
+  setTimeout(run, 60 * 1000);
+  setInterval(run, RETRY_INTERVAL_MS);
+}
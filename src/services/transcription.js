@@ -1,67 +1,144 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { readFile } from 'fs/promises';
 import { stat } from 'fs/promises';
 import { config } from 'dotenv';
+import { getGuildConfig } from './guild-config.js';
+import { getTranscriptionGlossary, buildVocabulary, applyGlossary } from './glossary.js';
+import { createCounter, createHistogram } from './metrics.js';
+import * as gemini from './transcribers/gemini.js';
+import * as openai from './transcribers/openai.js';
+import * as whisperCpp from './transcribers/whisper-cpp.js';
 
 config();
 
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+// Every provider exposes `name` and `transcribe(filePath, { vocabulary })` resolving to [{ offset, text }] (offset in seconds).
+// `vocabulary` lists names and terms (comma-separated) the audio may contain.
+export const TRANSCRIPTION_PROVIDERS = {
+  [gemini.name]: gemini,
+  [openai.name]: openai,
+  [whisperCpp.name]: whisperCpp,
+};
+
+const DEFAULT_TRANSCRIPTION_PROVIDER = process.env.TRANSCRIPTION_PROVIDER || gemini.name;
+
+const transcriptionDuration = createHistogram(
+  'minutes_transcription_duration_seconds',
+  'Time to transcribe one file, retries included (labels: provider, outcome)'
+);
+const transcriptionAttempts = createCounter('minutes_transcription_attempts_total', 'Requests sent to transcription providers');
+const transcriptionFailures = createCounter('minutes_transcription_failures_total', 'Files that could not be transcribed after every retry');
+const rateLimitedResponses = createCounter('minutes_transcription_rate_limited_total', 'Requests a provider rejected with 429');
+
+// Per-provider request budgets, e.g. "gemini:15,openai:50" (requests per minute); unlisted providers are not throttled
+const RATE_LIMITS = Object.fromEntries(
+  (process.env.TRANSCRIPTION_RATE_LIMITS || '')
+    .split(',')
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([providerName, perMinute]) => providerName && Number(perMinute) > 0)
+    .map(([providerName, perMinute]) => [providerName, Number(perMinute)])
+);
+// How long to leave a provider alone after a 429 without Retry-After
+const RATE_LIMIT_BACKOFF_MS = 20000;
+
+const providerStates = new Map(); // provider name -> { nextSlotAt, blockedUntil }
+
+function providerState(providerName) {
+  if (!providerStates.has(providerName)) providerStates.set(providerName, { nextSlotAt: 0, blockedUntil: 0 });
+  return providerStates.get(providerName);
+}
+
+// Wait for the provider's next request slot. Slots are reserved synchronously, so concurrent callers queue up in order.
+async function acquireRequestSlot(providerName) {
+  const state = providerState(providerName);
+  const interval = RATE_LIMITS[providerName] ? 60000 / RATE_LIMITS[providerName] : 0;
+  for (;;) {
+    const now = Date.now();
+    const at = Math.max(now, state.nextSlotAt, state.blockedUntil);
+    if (at <= now) {
+      state.nextSlotAt = now + interval;
+      return;
+    }
+    // Re-check after waiting: a 429 in the meantime may have pushed blockedUntil further out
+    await new Promise((res) => setTimeout(res, at - now));
+  }
+}
 
 /**
- * Transcribe audio file using Google Gemini API
+ * Pick the transcription provider: per-guild setting first, then TRANSCRIPTION_PROVIDER, then Gemini
+ * @param {string} [guildId] - Guild ID
+ * @returns {Promise<object>} - Provider module
+ */
+export async function resolveTranscriptionProvider(guildId) {
+  const guildConfig = guildId ? await getGuildConfig(guildId) : {};
+  const providerName = guildConfig.transcriptionProvider || DEFAULT_TRANSCRIPTION_PROVIDER;
+  const provider = TRANSCRIPTION_PROVIDERS[providerName];
+  if (!provider) {
+    console.warn(`⚠️ Unknown transcription provider "${providerName}", falling back to ${gemini.name}`);
+    return gemini;
+  }
+  return provider;
+}
+
+/**
+ * Transcribe audio file using the configured provider
  * @param {string} filePath - Path to the audio file
- * @returns {Promise<string>} - Transcribed text
+ * @param {object} [options]
+ * @param {string} [options.guildId] - Guild the audio belongs to (selects the provider and the glossary)
+ * @param {string[]} [options.participants] - Display names of the people in the meeting, added to the glossary
+ * @returns {Promise<Array<{offset: number, text: string}>|null>} - Timestamped segments (offset in seconds from the file start)
  */
-export async function transcribeAudio(filePath) {
+export async function transcribeAudio(filePath, { guildId, participants = [] } = {}) {
   const { size } = await stat(filePath).catch(() => ({ size: 0 }));
   const sizeMB = (size / (1024 * 1024)).toFixed(2);
-  console.log(`🎯 Transcribing: ${filePath} (${sizeMB} MB)`);
+  const provider = await resolveTranscriptionProvider(guildId);
+  // The glossary steers the model towards the right spellings, and fixes the misspellings it still makes
+  const glossary = await getTranscriptionGlossary(guildId, participants);
+  const vocabulary = buildVocabulary(glossary);
+  console.log(`🎯 Transcribing with ${provider.name}: ${filePath} (${sizeMB} MB)`);
 
   const maxAttempts = 3;
   let attempt = 0;
+  const endTimer = transcriptionDuration.startTimer({ provider: provider.name });
 
   while (attempt < maxAttempts) {
     attempt++;
+    await acquireRequestSlot(provider.name);
+    transcriptionAttempts.inc({ provider: provider.name });
     try {
-      const audioData = await readFile(filePath);
-      const base64Audio = audioData.toString('base64');
-
-      const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-
-      const result = await model.generateContent([
-        {
-          inlineData: {
-            mimeType: 'audio/mpeg', // matches our MP3 output
-            data: base64Audio,
-          },
-        },
-        { text: 'Please transcribe this audio file. Provide only the transcription text without any additional commentary.' },
-      ]);
-
-      const response = await result.response;
-      const transcription = response.text();
-
-      console.log(`✅ Transcription complete`);
-      return transcription;
+      const segments = (await provider.transcribe(filePath, { vocabulary }))
+        .map(segment => ({ ...segment, text: applyGlossary(segment.text, glossary) }));
+
+      console.log(`✅ Transcription complete (${segments.length} segment(s))`);
+      endTimer({ outcome: 'success' });
+      return segments;
     } catch (error) {
       console.error(`Error transcribing audio (attempt ${attempt}/${maxAttempts}):`, error);
 
+      // Every request to this provider backs off, not just this one
+      if (error?.status === 429) {
+        rateLimitedResponses.inc({ provider: provider.name });
+        const state = providerState(provider.name);
+        state.blockedUntil = Math.max(state.blockedUntil, Date.now() + (error.retryAfterMs ?? RATE_LIMIT_BACKOFF_MS * attempt));
+      }
+
       const transientCodes = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN']);
       const isTransient =
-        transientCodes.has(error?.code) ||
-        error?.status >= 500 ||
-        error?.name === 'APIConnectionError' ||
-        error?.type === 'api_connection_error' ||
-        error?.status === undefined;
+        !error?.permanent &&
+        (transientCodes.has(error?.code) ||
+          error?.status === 429 ||
+          error?.status >= 500 ||
+          error?.name === 'APIConnectionError' ||
+          error?.type === 'api_connection_error' ||
+          error?.status === undefined);
 
       if (!isTransient || attempt >= maxAttempts) {
         if (error?.status === 401 || error?.message?.includes('API key')) {
-          console.error('❌ Authentication error - check your GOOGLE_API_KEY in .env');
+          console.error(`❌ Authentication error - check the API key for the ${provider.name} provider in .env`);
         } else if (error?.status === 429) {
-          console.error('❌ Rate limit exceeded - too many requests to Google API');
+          console.error(`❌ Rate limit exceeded - too many requests to the ${provider.name} provider`);
         } else if (error?.code === 'ENOTFOUND') {
-          console.error('❌ DNS resolution failed - cannot reach Google servers');
+          console.error(`❌ DNS resolution failed - cannot reach the ${provider.name} provider`);
         }
+        endTimer({ outcome: 'failure' });
+        transcriptionFailures.inc({ provider: provider.name });
         return null;
       }
 
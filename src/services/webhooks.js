@@ -0,0 +1,164 @@
+import { appendFile, mkdir } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import path from 'path';
+import { config } from 'dotenv';
+import { getGuildConfig } from './guild-config.js';
+import { normalizeSummary } from '../utils/summary-format.js';
+import { DATA_DIR } from '../utils/paths.js';
+import * as json from './integrations/json.js';
+import * as slack from './integrations/slack.js';
+import * as markdown from './integrations/markdown.js';
+import { assertPublicUrl } from './integrations/http.js';
+
+config();
+
+// Every integration exposes `name` and `deliver(payload, target, context)`
+export const WEBHOOK_FORMATS = {
+  [json.name]: json,
+  [slack.name]: slack,
+};
+const INTEGRATIONS = { ...WEBHOOK_FORMATS, [markdown.name]: markdown };
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 5) * 1000; // doubles on every attempt
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+// A Markdown copy of every meeting is written here (per guild); a git repository gets a commit per meeting
+const MINUTES_EXPORT_DIR = process.env.MINUTES_EXPORT_DIR;
+const MINUTES_EXPORT_GIT_PUSH = process.env.MINUTES_EXPORT_GIT_PUSH === 'true';
+
+// Deliveries that ran out of attempts, one JSON object per line, so they can be inspected and replayed
+export const DEAD_LETTER_PATH = path.join(DATA_DIR, 'webhook-dead-letter.jsonl');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Build the payload sent to integrations for a finished meeting
+ * @param {object} meeting - Archived meeting (see services/archive.js)
+ * @param {object} [options]
+ * @param {string} [options.minutesUrl] - Link to the minutes in Discord
+ * @returns {object} - Payload
+ */
+export function buildMeetingPayload(meeting, { minutesUrl } = {}) {
+  const summary = normalizeSummary(meeting.summary);
+  return {
+    event: 'meeting.completed',
+    meeting: {
+      id: meeting.id,
+      guildId: meeting.guildId,
+      channelId: meeting.channelId,
+      channelName: meeting.channelName,
+      startTime: new Date(meeting.startTime).toISOString(),
+      endTime: new Date(meeting.endTime).toISOString(),
+      durationSeconds: meeting.duration,
+      participants: meeting.participants,
+      minutesUrl: minutesUrl || null,
+    },
+    summary,
+    actionItems: summary?.actionItems || [],
+    transcript: {
+      text: meeting.transcript || '',
+      segments: (meeting.timeline || []).map(({ offset, end, speakerId, speaker, text }) => ({ offset, end, speakerId, speaker, text })),
+    },
+    analytics: meeting.analytics || null,
+  };
+}
+
+/**
+ * Create a webhook entry for a guild's settings, with a fresh signing secret
+ * @param {string} url - Webhook URL
+ * @param {string} format - One of WEBHOOK_FORMATS
+ * @returns {Promise<{id: string, url: string, format: string, secret: string}>} - Webhook
+ * @throws {Error} - When the URL is invalid, does not resolve or points to a private address
+ */
+export async function createWebhook(url, format) {
+  const parsed = new URL(url);
+  if (!['https:', 'http:'].includes(parsed.protocol)) throw new Error('Webhook URLs must use http or https');
+  if (!WEBHOOK_FORMATS[format]) throw new Error(`Unknown webhook format "${format}"`);
+  await assertPublicUrl(parsed.toString()).catch((error) => {
+    if (error.permanent) throw error;
+    throw new Error(`Could not resolve ${parsed.hostname} (${error.code || error.message})`);
+  });
+  return { id: randomUUID().slice(0, 8), url: parsed.toString(), format, secret: randomUUID().replace(/-/g, '') };
+}
+
+// Network errors, timeouts, rate limits and server errors are worth another try; other 4xx and blocked addresses are not
+function isRetryable(error) {
+  if (error?.permanent) return false;
+  return error?.status === undefined || error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+function describeTarget(target) {
+  if (target.dir) return target.dir;
+  try {
+    return new URL(target.url).host;
+  } catch {
+    return 'invalid URL';
+  }
+}
+
+async function writeDeadLetter(entry) {
+  try {
+    await mkdir(path.dirname(DEAD_LETTER_PATH), { recursive: true });
+    await appendFile(DEAD_LETTER_PATH, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    console.error('Error writing the webhook dead-letter log:', error);
+  }
+}
+
+async function deliverWithRetries(payload, target) {
+  const integration = INTEGRATIONS[target.format];
+  const deliveryId = randomUUID();
+  const label = `${target.format} → ${describeTarget(target)}`;
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      await integration.deliver(payload, target, { deliveryId });
+      console.log(`📤 Delivered meeting ${payload.meeting.id} (${label})`);
+      return true;
+    } catch (error) {
+      lastError = error;
+      console.warn(`⚠️ Delivery of meeting ${payload.meeting.id} failed (${label}, attempt ${attempt}/${MAX_ATTEMPTS}): ${error.message}`);
+      if (!isRetryable(error) || attempt >= MAX_ATTEMPTS) break;
+      await sleep(Math.min(error.retryAfterMs ?? RETRY_BASE_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS));
+    }
+  }
+
+  await writeDeadLetter({
+    failedAt: new Date().toISOString(),
+    deliveryId,
+    guildId: payload.meeting.guildId,
+    meetingId: payload.meeting.id,
+    webhookId: target.id || null,
+    format: target.format,
+    target: describeTarget(target),
+    error: lastError?.message || 'unknown error',
+    status: lastError?.status ?? null,
+    payload,
+  });
+  console.error(`❌ Gave up delivering meeting ${payload.meeting.id} (${label}); see ${DEAD_LETTER_PATH}`);
+  return false;
+}
+
+/**
+ * Send a finished meeting to the guild's webhooks and the Markdown export directory.
+ * Deliveries run in parallel and retry with exponential backoff; ones that keep failing
+ * are written to the dead-letter log.
+ * @param {object} meeting - Archived meeting
+ * @param {object} [options]
+ * @param {string} [options.minutesUrl] - Link to the minutes in Discord
+ * @returns {Promise<{delivered: number, failed: number}>} - Resolves once every delivery finished or gave up
+ */
+export async function dispatchMeeting(meeting, { minutesUrl } = {}) {
+  const { webhooks = [] } = await getGuildConfig(meeting.guildId);
+  const targets = webhooks.filter(webhook => INTEGRATIONS[webhook.format]);
+  if (MINUTES_EXPORT_DIR) {
+    targets.push({ format: markdown.name, dir: path.resolve(MINUTES_EXPORT_DIR), push: MINUTES_EXPORT_GIT_PUSH });
+  }
+  if (targets.length === 0) return { delivered: 0, failed: 0 };
+
+  const payload = buildMeetingPayload(meeting, { minutesUrl });
+  const results = await Promise.all(targets.map(target => deliverWithRetries(payload, target)));
+  const delivered = results.filter(Boolean).length;
+  return { delivered, failed: results.length - delivered };
+}
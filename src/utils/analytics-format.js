@@ -0,0 +1,62 @@
+/**
+ * Rendering of speaker analytics (see utils/analytics.js) for Discord
+ */
+import { EmbedBuilder } from 'discord.js';
+import { formatDuration } from './messages.js';
+
+const ANALYTICS_COLOR = 0x57f287;
+const MAX_SPEAKER_FIELDS = 24; // Discord allows 25 fields; one is kept for the overflow note
+
+const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+/**
+ * Render a meeting's analytics report as an embed
+ * @param {object} analytics - Report from computeMeetingAnalytics
+ * @returns {EmbedBuilder}
+ */
+export function renderAnalyticsEmbed(analytics) {
+  const overview = [
+    `⏱️ Recorded ${formatDuration(analytics.durationSeconds)}` +
+      (analytics.pausedSeconds > 0 ? ` (${formatDuration(analytics.pausedSeconds)} paused)` : ''),
+    `🗣️ Talking ${formatDuration(analytics.totalTalkSeconds)} · 🤫 silence ${percent(analytics.silenceRatio)}` +
+      ` · 🔀 overlap ${formatDuration(analytics.overlapSeconds)} · ${analytics.turns} turns`,
+  ];
+
+  const fields = analytics.speakers.slice(0, MAX_SPEAKER_FIELDS).map(speaker => ({
+    name: speaker.name.slice(0, 256),
+    value: [
+      `🗣️ ${formatDuration(speaker.talkSeconds)} (${percent(speaker.share)}) · ${speaker.turns} turns · longest ${formatDuration(speaker.longestMonologueSeconds)}`,
+      `⚡ ${speaker.interruptions} interruptions, interrupted ${speaker.interrupted}× · overlap ${formatDuration(speaker.overlapSeconds)}`,
+    ].join('\n'),
+  }));
+  if (analytics.speakers.length > MAX_SPEAKER_FIELDS) {
+    fields.push({ name: '…', value: `${analytics.speakers.length - MAX_SPEAKER_FIELDS} more participant(s)` });
+  }
+
+  return new EmbedBuilder()
+    .setColor(ANALYTICS_COLOR)
+    .setTitle('📈 Speaker analytics')
+    .setDescription(overview.join('\n'))
+    .addFields(fields);
+}
+
+/**
+ * Render analytics aggregated over several meetings as an embed
+ * @param {object} trends - Result of aggregateAnalytics
+ * @returns {EmbedBuilder}
+ */
+export function renderTrendsEmbed(trends) {
+  const fields = trends.speakers.slice(0, MAX_SPEAKER_FIELDS).map(speaker => ({
+    name: speaker.name.slice(0, 256),
+    value: [
+      `📅 ${speaker.meetings} meeting(s) · 🗣️ ${formatDuration(speaker.talkSeconds)} total, ${formatDuration(speaker.talkSeconds / speaker.meetings)} per meeting`,
+      `📊 average share ${percent(speaker.averageShare)} · ${speaker.turns} turns · ⚡ ${speaker.interruptions} interruptions, interrupted ${speaker.interrupted}×`,
+    ].join('\n'),
+  }));
+
+  return new EmbedBuilder()
+    .setColor(ANALYTICS_COLOR)
+    .setTitle(`📈 Speaker trends over the last ${trends.meetings} meeting(s)`)
+    .setDescription(`⏱️ Average length ${formatDuration(trends.averageDurationSeconds)} · 🤫 average silence ${percent(trends.averageSilenceRatio)}`)
+    .addFields(fields);
+}
@@ -0,0 +1,182 @@
+/**
+ * Speaker analytics computed from the receiver's speaking bursts (ms from the recording start)
+ * and the amount of decoded audio each user sent
+ */
+import { PCM_BYTES_PER_MS } from './pcm.js';
+
+// Bursts of the same speaker closer than this are one turn (Discord ends a burst on short pauses)
+const TURN_GAP_MS = 1500;
+// Starting to talk while someone else has been talking at least this long, and keeps talking, interrupts them
+const INTERRUPT_MIN_HELD_MS = 1000;
+const INTERRUPT_MIN_OVERLAP_MS = 500;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Sort, clip to the recording and merge overlapping bursts
+function normalizeBursts(bursts = [], endMs) {
+  const sorted = bursts
+    .map(({ start, end }) => ({ start: Math.max(0, start), end: Math.min(end ?? endMs, endMs) }))
+    .filter(({ start, end }) => end > start)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const burst of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && burst.start <= last.end) last.end = Math.max(last.end, burst.end);
+    else merged.push({ ...burst });
+  }
+  return merged;
+}
+
+function mergeIntoTurns(intervals) {
+  const turns = [];
+  for (const interval of intervals) {
+    const last = turns[turns.length - 1];
+    if (last && interval.start - last.end < TURN_GAP_MS) last.end = interval.end;
+    else turns.push({ ...interval });
+  }
+  return turns;
+}
+
+function totalLength(intervals) {
+  return intervals.reduce((sum, { start, end }) => sum + (end - start), 0);
+}
+
+/**
+ * Compute the analytics report of a meeting
+ * @param {object} input
+ * @param {Map<string, Array<{start: number, end: number|null}>>} input.speakingBursts - Bursts per user ID
+ * @param {Array<{id: string, name: string}>} input.participants - Recorded participants
+ * @param {number} input.durationMs - Length of the recording
+ * @param {Array<{start: number, end: number|null}>} [input.pauses] - Paused stretches, left out of the silence ratio
+ * @param {Map<string, number>} [input.bytesByUser] - Decoded PCM bytes received per user
+ * @returns {object} - Report: meeting totals plus one entry per participant, sorted by talk time
+ */
+export function computeMeetingAnalytics({ speakingBursts, participants, durationMs, pauses = [], bytesByUser = new Map() }) {
+  const intervalsByUser = new Map(
+    participants.map(({ id }) => [id, normalizeBursts(speakingBursts?.get(id), durationMs)])
+  );
+
+  // Sweep over every burst edge to find silence and overlaps
+  const edges = [];
+  for (const [userId, intervals] of intervalsByUser) {
+    for (const { start, end } of intervals) {
+      edges.push({ at: start, userId, delta: 1 }, { at: end, userId, delta: -1 });
+    }
+  }
+  edges.sort((a, b) => a.at - b.at || a.delta - b.delta);
+
+  const overlapByUser = new Map();
+  const active = new Set();
+  let cursor = 0;
+  let silenceMs = 0;
+  let overlapMs = 0;
+  for (const { at, userId, delta } of edges) {
+    const span = at - cursor;
+    if (span > 0) {
+      if (active.size === 0) silenceMs += span;
+      if (active.size > 1) {
+        overlapMs += span;
+        for (const id of active) overlapByUser.set(id, (overlapByUser.get(id) || 0) + span);
+      }
+    }
+    cursor = at;
+    if (delta > 0) active.add(userId);
+    else active.delete(userId);
+  }
+  silenceMs += Math.max(0, durationMs - cursor);
+
+  const pausedMs = totalLength(normalizeBursts(pauses, durationMs));
+  const recordedMs = Math.max(0, durationMs - pausedMs);
+  silenceMs = Math.max(0, silenceMs - pausedMs); // paused stretches are silent on purpose
+
+  // Interruptions: a turn that starts while someone else is mid-turn and both keep going
+  const turnsByUser = new Map([...intervalsByUser].map(([id, intervals]) => [id, mergeIntoTurns(intervals)]));
+  const interruptionsMade = new Map();
+  const interruptionsReceived = new Map();
+  for (const [userId, turns] of turnsByUser) {
+    for (const turn of turns) {
+      for (const [otherId, otherTurns] of turnsByUser) {
+        if (otherId === userId) continue;
+        const interrupted = otherTurns.some(other =>
+          turn.start - other.start >= INTERRUPT_MIN_HELD_MS &&
+          Math.min(other.end, turn.end) - turn.start >= INTERRUPT_MIN_OVERLAP_MS);
+        if (interrupted) {
+          interruptionsMade.set(userId, (interruptionsMade.get(userId) || 0) + 1);
+          interruptionsReceived.set(otherId, (interruptionsReceived.get(otherId) || 0) + 1);
+        }
+      }
+    }
+  }
+
+  const totalTalkMs = [...intervalsByUser.values()].reduce((sum, intervals) => sum + totalLength(intervals), 0);
+  const speakers = participants.map(({ id, name }) => {
+    const talkMs = totalLength(intervalsByUser.get(id));
+    const turns = turnsByUser.get(id);
+    const bytes = bytesByUser.get(id);
+    return {
+      id,
+      name,
+      talkSeconds: round(talkMs / 1000),
+      share: totalTalkMs > 0 ? round(talkMs / totalTalkMs, 3) : 0,
+      turns: turns.length,
+      longestMonologueSeconds: round(Math.max(0, ...turns.map(t => t.end - t.start)) / 1000),
+      overlapSeconds: round((overlapByUser.get(id) || 0) / 1000),
+      interruptions: interruptionsMade.get(id) || 0,
+      interrupted: interruptionsReceived.get(id) || 0,
+      // Discord only sends frames while someone talks, so this is talk time as measured by the audio itself
+      audioSeconds: bytes === undefined ? null : round(bytes / PCM_BYTES_PER_MS / 1000),
+    };
+  }).sort((a, b) => b.talkSeconds - a.talkSeconds);
+
+  return {
+    durationSeconds: round(durationMs / 1000),
+    pausedSeconds: round(pausedMs / 1000),
+    totalTalkSeconds: round(totalTalkMs / 1000),
+    silenceSeconds: round(silenceMs / 1000),
+    silenceRatio: recordedMs > 0 ? round(silenceMs / recordedMs, 3) : 0,
+    overlapSeconds: round(overlapMs / 1000),
+    turns: speakers.reduce((sum, s) => sum + s.turns, 0),
+    speakers,
+  };
+}
+
+/**
+ * Aggregate the analytics of several archived meetings per participant
+ * @param {object[]} meetings - Meeting records (see services/archive.js); ones without analytics are skipped
+ * @returns {{meetings: number, averageDurationSeconds: number, averageSilenceRatio: number, speakers: object[]}}
+ */
+export function aggregateAnalytics(meetings) {
+  const withAnalytics = meetings.filter(meeting => meeting.analytics);
+  const bySpeaker = new Map();
+
+  for (const { analytics } of withAnalytics) {
+    for (const speaker of analytics.speakers) {
+      // Meetings come newest first, so the first name seen is the current one
+      const totals = bySpeaker.get(speaker.id) || {
+        id: speaker.id, name: speaker.name, meetings: 0, talkSeconds: 0, shareSum: 0, turns: 0, interruptions: 0, interrupted: 0,
+      };
+      totals.meetings += 1;
+      totals.talkSeconds += speaker.talkSeconds;
+      totals.shareSum += speaker.share;
+      totals.turns += speaker.turns;
+      totals.interruptions += speaker.interruptions;
+      totals.interrupted += speaker.interrupted;
+      if (!bySpeaker.has(speaker.id)) bySpeaker.set(speaker.id, totals);
+    }
+  }
+
+  const count = withAnalytics.length;
+  return {
+    meetings: count,
+    averageDurationSeconds: count > 0 ? round(withAnalytics.reduce((s, m) => s + m.analytics.durationSeconds, 0) / count) : 0,
+    averageSilenceRatio: count > 0 ? round(withAnalytics.reduce((s, m) => s + m.analytics.silenceRatio, 0) / count, 3) : 0,
+    speakers: [...bySpeaker.values()]
+      .map(({ shareSum, ...totals }) => ({
+        ...totals,
+        talkSeconds: round(totals.talkSeconds),
+        averageShare: round(shareSum / totals.meetings, 3),
+      }))
+      .sort((a, b) => b.talkSeconds - a.talkSeconds),
+  };
+}
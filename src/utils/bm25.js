@@ -0,0 +1,85 @@
+/**
+ * A small in-memory BM25 full-text index, used to search archived transcripts and summaries
+ */
+
+// Okapi BM25 defaults
+const K1 = 1.2;
+const B = 0.75;
+
+// Words too common to say anything about a passage (English only; other languages just rank a bit worse)
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'did', 'do', 'does', 'for', 'from',
+  'had', 'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our',
+  'so', 'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this', 'to', 'us', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+]);
+
+// Crude suffix stripping so "decide", "decided" and "decides" are the same term
+function stem(term) {
+  const stemmed = term.replace(/(?:ing|ed|es|s|e)$/, '');
+  return stemmed.length >= 3 ? stemmed : term;
+}
+
+/**
+ * Split text into lowercase, stemmed search terms without accents or stop words
+ * @param {string} text - Text
+ * @returns {string[]} - Terms, in order
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+    .map(stem);
+}
+
+/**
+ * Build an index over a set of documents
+ * @param {Array<{id: string, text: string}>} documents - Documents
+ * @returns {{docs: Array<{id: string, length: number, terms: Map<string, number>}>, df: Map<string, number>, avgLength: number}} - Index
+ */
+export function createBm25Index(documents) {
+  const df = new Map();
+  const docs = documents.map(({ id, text }) => {
+    const terms = new Map();
+    const tokens = tokenize(text);
+    for (const term of tokens) terms.set(term, (terms.get(term) || 0) + 1);
+    for (const term of terms.keys()) df.set(term, (df.get(term) || 0) + 1);
+    return { id, length: tokens.length, terms };
+  });
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+  return { docs, df, avgLength };
+}
+
+/**
+ * Rank the documents of an index against a query
+ * @param {object} index - Index (see createBm25Index)
+ * @param {string} query - Query
+ * @param {object} [options]
+ * @param {number} [options.limit=10] - Maximum number of results
+ * @param {(id: string) => boolean} [options.filter] - Only consider documents it accepts
+ * @returns {Array<{id: string, score: number}>} - Matching documents, best first
+ */
+export function searchBm25(index, query, { limit = 10, filter } = {}) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const total = index.docs.length;
+  const idf = new Map(queryTerms.map((term) => {
+    const n = index.df.get(term) || 0;
+    return [term, Math.log(1 + (total - n + 0.5) / (n + 0.5))];
+  }));
+
+  const results = [];
+  for (const doc of index.docs) {
+    if (filter && !filter(doc.id)) continue;
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = doc.terms.get(term);
+      if (!tf) continue;
+      score += idf.get(term) * ((tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * doc.length) / (index.avgLength || 1))));
+    }
+    if (score > 0) results.push({ id: doc.id, score });
+  }
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
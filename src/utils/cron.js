@@ -0,0 +1,80 @@
+/**
+ * Minimal five-field cron expressions ("minute hour day-of-month month day-of-week"),
+ * evaluated in the bot's local time zone (set TZ to change it)
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+const NAMES = {
+  month: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+  'day of week': ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+};
+
+function parseValue(text, field) {
+  const names = NAMES[field.name];
+  const named = names?.indexOf(text.toLowerCase()) ?? -1;
+  if (named >= 0) return field.name === 'month' ? named + 1 : named;
+
+  // Number() would read "" (an open range bound like "-5") as 0, and also accepts "1e1" or "0x5"
+  const value = /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} "${text}" (expected ${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+// "*", "5", "1-5", "*/15", "10-40/10", "mon-fri" and comma-separated lists of those
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [start, end, ...rest] = range.split('-');
+      if (rest.length > 0) throw new Error(`Invalid range "${range}" in ${field.name}`);
+      from = parseValue(start, field);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field);
+      if (to < from) throw new Error(`Invalid range "${range}" in ${field.name}`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+
+  if (field.name === 'day of week' && values.has(7)) values.add(0);
+  return { values, any: text === '*' };
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "30 9 * * mon-fri"
+ * @returns {{matches: (date: Date) => boolean}} - Schedule
+ * @throws {Error} - If the expression is invalid
+ */
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Expected ${FIELDS.length} fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  return {
+    matches(date) {
+      if (!minute.values.has(date.getMinutes()) || !hour.values.has(date.getHours())) return false;
+      if (!month.values.has(date.getMonth() + 1)) return false;
+      // As in classic cron, when both day fields are restricted either one may match
+      const domMatch = dayOfMonth.values.has(date.getDate());
+      const dowMatch = dayOfWeek.values.has(date.getDay());
+      if (dayOfMonth.any || dayOfWeek.any) return domMatch && dowMatch;
+      return domMatch || dowMatch;
+    },
+  };
+}
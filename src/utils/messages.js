@@ -0,0 +1,65 @@
+/**
+ * Split text into chunks that fit in a Discord message, preferring line breaks
+ * @param {string} text - Text to split
+ * @param {number} [maxLength=2000] - Maximum chunk length
+ * @returns {string[]} - Chunks
+ */
+export function splitMessage(text, maxLength = 2000) {
+  const chunks = [];
+  let currentChunk = '';
+
+  const lines = text.split('\n');
+  for (const line of lines) {
+    // If a single line is longer than maxLength, split it by words
+    if (line.length > maxLength) {
+      // First, add current chunk if it has content
+      if (currentChunk) {
+        chunks.push(currentChunk);
+        currentChunk = '';
+      }
+      
+      // Split long line by words
+      const words = line.split(' ');
+      let tempLine = '';
+      for (const word of words) {
+        if ((tempLine + word + ' ').length > maxLength) {
+          if (tempLine) chunks.push(tempLine.trim());
+          // Single word longer than maxLength, force split
+          let rest = word;
+          while (rest.length > maxLength) {
+            chunks.push(rest.substring(0, maxLength));
+            rest = rest.substring(maxLength);
+          }
+          tempLine = rest + ' ';
+        } else {
+          tempLine += word + ' ';
+        }
+      }
+      if (tempLine) {
+        currentChunk = tempLine.trim() + '\n';
+      }
+    } else if ((currentChunk + line + '\n').length > maxLength) {
+      if (currentChunk) chunks.push(currentChunk.trim());
+      currentChunk = line + '\n';
+    } else {
+      currentChunk += line + '\n';
+    }
+  }
+
+  if (currentChunk) chunks.push(currentChunk.trim());
+  return chunks;
+}
+
+/**
+ * Format a duration in seconds as e.g. "1h 05m 09s" or "4m 20s"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Human readable duration
+ */
+export function formatDuration(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m ${String(s).padStart(2, '0')}s`;
+  return `${m}m ${String(s).padStart(2, '0')}s`;
+}
@@ -0,0 +1,7 @@
+import path from 'path';
+import { config } from 'dotenv';
+
+config();
+
+// Root for everything the bot persists besides raw recordings (archive, settings)
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
@@ -0,0 +1,134 @@
+/**
+ * Raw PCM helpers for the decoded Discord voice streams (s16le, stereo, 48kHz)
+ */
+import { Transform } from 'stream';
+
+export const PCM_SAMPLE_RATE = 48000;
+export const PCM_CHANNELS = 2;
+export const PCM_BYTES_PER_SAMPLE_FRAME = PCM_CHANNELS * 2; // one s16 sample per channel
+export const PCM_BYTES_PER_MS = (PCM_SAMPLE_RATE * PCM_BYTES_PER_SAMPLE_FRAME) / 1000;
+
+// Frames arrive with some network jitter; only gaps larger than this are treated as silence
+const PAD_TOLERANCE_MS = 60;
+// The background timer stays this far behind the clock so a burst that is just starting is not pushed back
+const PAD_TIMER_MARGIN_MS = 250;
+const PAD_TIMER_INTERVAL_MS = 1000;
+
+// One second of silence, shared by every padder; pushed as zero-copy slices
+const SILENCE = Buffer.alloc(PCM_SAMPLE_RATE * PCM_BYTES_PER_SAMPLE_FRAME);
+
+/**
+ * Convert a duration in milliseconds to a byte length aligned to whole sample frames
+ * @param {number} ms - Duration in milliseconds
+ * @returns {number} - Byte length
+ */
+export function msToPcmBytes(ms) {
+  const frames = Math.max(0, Math.round((ms * PCM_SAMPLE_RATE) / 1000));
+  return frames * PCM_BYTES_PER_SAMPLE_FRAME;
+}
+
+/**
+ * Convert a PCM byte length to seconds
+ * @param {number} bytes - Byte length
+ * @returns {number} - Duration in seconds
+ */
+export function pcmBytesToSeconds(bytes) {
+  return bytes / (PCM_BYTES_PER_MS * 1000);
+}
+
+function silenceOfLength(length) {
+  return length <= SILENCE.length ? SILENCE.subarray(0, length) : Buffer.alloc(length);
+}
+
+/**
+ * Create a transform that inserts digital silence so that the byte position in
+ * the output always tracks the wall clock since `startTime`.
+ *
+ * Discord only sends frames while someone is talking, so without padding a
+ * user's file is just their speech glued together. With padding, byte N of
+ * every user's file corresponds to the same moment of the meeting.
+ * Setting `muted` to true replaces incoming audio with silence of the same
+ * length, which keeps the file on the meeting clock without capturing anything.
+ * @param {number} startTime - Epoch ms that byte 0 of the output represents
+ * @returns {Transform} - PCM transform stream with a `stopPadding()` method and a `muted` flag
+ */
+export function createSilencePadder(startTime) {
+  let written = 0;
+
+  const padTo = (stream, targetBytes) => {
+    let missing = targetBytes - written;
+    while (missing > 0) {
+      const slice = SILENCE.subarray(0, Math.min(missing, SILENCE.length));
+      stream.push(slice);
+      written += slice.length;
+      missing -= slice.length;
+    }
+  };
+
+  const padder = new Transform({
+    transform(chunk, _encoding, callback) {
+      // The chunk ends "now", so it should start one chunk-duration ago
+      const chunkStart = msToPcmBytes(Date.now() - startTime) - chunk.length;
+      if (chunkStart - written > msToPcmBytes(PAD_TOLERANCE_MS)) {
+        padTo(this, chunkStart);
+      }
+      this.push(padder.muted ? silenceOfLength(chunk.length) : chunk);
+      written += chunk.length;
+      callback();
+    },
+    flush(callback) {
+      clearInterval(timer);
+      callback();
+    },
+  });
+
+  // Keep filling long pauses as they happen instead of in one go when speech resumes
+  const timer = setInterval(() => {
+    if (padder.destroyed || padder.writableEnded) return;
+    padTo(padder, msToPcmBytes(Date.now() - startTime - PAD_TIMER_MARGIN_MS));
+  }, PAD_TIMER_INTERVAL_MS);
+  padder.on('close', () => clearInterval(timer));
+
+  // Called before the destination is ended so the timer never writes after end
+  padder.stopPadding = () => clearInterval(timer);
+  padder.muted = false;
+
+  return padder;
+}
+
+/**
+ * Energy-based voice activity check: find the quietest stretch of a PCM buffer
+ * @param {Buffer} pcm - PCM (s16le, stereo, 48kHz)
+ * @param {number} [windowMs=300] - Length of the stretch
+ * @returns {{offsetMs: number, level: number}|null} - Middle of the quietest stretch (ms from the buffer start)
+ *   and its mean absolute amplitude, or null if the buffer is shorter than the stretch
+ */
+export function findQuietestStretch(pcm, windowMs = 300) {
+  const FRAME_MS = 20;
+  const frameBytes = msToPcmBytes(FRAME_MS);
+  const frameCount = Math.floor(pcm.length / frameBytes);
+  const framesPerWindow = Math.max(1, Math.round(windowMs / FRAME_MS));
+  if (frameCount < framesPerWindow) return null;
+
+  // Mean absolute amplitude per frame; every fourth sample is plenty to tell speech from pauses
+  const levels = new Float64Array(frameCount);
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    let samples = 0;
+    for (let pos = frame * frameBytes; pos < (frame + 1) * frameBytes; pos += 8) {
+      sum += Math.abs(pcm.readInt16LE(pos));
+      samples++;
+    }
+    levels[frame] = sum / samples;
+  }
+
+  let windowSum = 0;
+  for (let i = 0; i < framesPerWindow; i++) windowSum += levels[i];
+  let best = { start: 0, sum: windowSum };
+  for (let start = 1; start + framesPerWindow <= frameCount; start++) {
+    windowSum += levels[start + framesPerWindow - 1] - levels[start - 1];
+    if (windowSum < best.sum) best = { start, sum: windowSum };
+  }
+
+  return { offsetMs: (best.start + framesPerWindow / 2) * FRAME_MS, level: best.sum / framesPerWindow };
+}
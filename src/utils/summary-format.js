@@ -0,0 +1,143 @@
+/**
+ * Rendering of structured summaries (see services/summarization.js) for Discord and Markdown
+ */
+import { EmbedBuilder } from 'discord.js';
+import { splitMessage } from './messages.js';
+import { formatTimestamp } from './transcript.js';
+
+// Discord limits: https://discord.com/developers/docs/resources/message#embed-object-embed-limits
+const EMBED_DESCRIPTION_LIMIT = 4000; // 4096, with some headroom
+const EMBED_FIELD_LIMIT = 1000; // 1024, with some headroom
+const EMBED_MAX_FIELDS = 25;
+const MESSAGE_EMBED_CHAR_LIMIT = 6000;
+const MESSAGE_MAX_EMBEDS = 10;
+const SUMMARY_COLOR = 0x5865f2;
+
+/**
+ * Summaries archived before structured output were plain strings; treat them as an overview.
+ * Only summaries of long meetings have an outline (see services/summarization.js).
+ * @param {object|string|null} summary - Stored summary
+ * @returns {object|null} - Structured summary
+ */
+export function normalizeSummary(summary) {
+  if (!summary) return null;
+  if (typeof summary === 'string') {
+    return { overview: summary, decisions: [], actionItems: [], openQuestions: [], topics: [], outline: [] };
+  }
+  return { outline: [], ...summary };
+}
+
+/**
+ * Format one section of a long meeting's outline as a single line
+ * @param {{start: number, end: number, title: string}} section - Outline section (offsets in seconds)
+ * @returns {string} - Line
+ */
+export function formatOutlineSection({ start, end, title }) {
+  return `[${formatTimestamp(start)}–${formatTimestamp(end)}] ${title}`;
+}
+
+/**
+ * Format one action item as a single line
+ * @param {{task: string, owner: string|null, ownerId: string|null, due: string|null}} item - Action item
+ * @param {boolean} [mentions=true] - Use Discord mentions for owners that map to a member
+ * @returns {string} - Line
+ */
+export function formatActionItem(item, mentions = true) {
+  const owner = item.ownerId && mentions ? `<@${item.ownerId}>` : item.owner;
+  const parts = [item.task];
+  if (owner) parts.push(`— ${owner}`);
+  if (item.due) parts.push(`(due ${item.due})`);
+  return parts.join(' ');
+}
+
+// Split a bullet list into embed fields, continuing in extra fields when it is too long
+function listToFields(name, items) {
+  if (items.length === 0) return [];
+  const chunks = splitMessage(items.map(item => `• ${item}`).join('\n'), EMBED_FIELD_LIMIT);
+  return chunks.map((value, i) => ({ name: i === 0 ? name : `${name} (continued)`, value }));
+}
+
+/**
+ * Render a structured summary as Discord embeds
+ * @param {object|string} summary - Structured summary
+ * @param {object} [options]
+ * @param {string} [options.title] - Title of the first embed
+ * @returns {EmbedBuilder[]} - Embeds, in order
+ */
+export function renderSummaryEmbeds(summary, { title = '📊 Meeting summary' } = {}) {
+  const { overview, decisions, actionItems, openQuestions, topics, outline } = normalizeSummary(summary);
+
+  const embeds = splitMessage(overview || 'No overview.', EMBED_DESCRIPTION_LIMIT).map((description, i) =>
+    new EmbedBuilder()
+      .setColor(SUMMARY_COLOR)
+      .setTitle(i === 0 ? title : `${title} (continued)`)
+      .setDescription(description)
+  );
+
+  const fields = [
+    ...listToFields('✅ Decisions', decisions),
+    ...listToFields('📌 Action items', actionItems.map(item => formatActionItem(item))),
+    ...listToFields('❓ Open questions', openQuestions),
+    ...listToFields('🧭 Outline', outline.map(formatOutlineSection)),
+  ];
+  if (topics.length > 0) {
+    fields.push({ name: '🏷️ Topics', value: topics.join(', ').slice(0, EMBED_FIELD_LIMIT) });
+  }
+
+  // Fields go on follow-up embeds so the overview embed keeps room for a long description
+  for (let i = 0; i < fields.length; i += EMBED_MAX_FIELDS) {
+    embeds.push(new EmbedBuilder().setColor(SUMMARY_COLOR).addFields(fields.slice(i, i + EMBED_MAX_FIELDS)));
+  }
+
+  return embeds;
+}
+
+/**
+ * Group embeds into batches that each fit in one message
+ * @param {EmbedBuilder[]} embeds - Embeds
+ * @returns {EmbedBuilder[][]} - One array of embeds per message
+ */
+export function groupEmbedsForMessages(embeds) {
+  const batches = [];
+  let current = [];
+  let currentChars = 0;
+
+  for (const embed of embeds) {
+    const { title = '', description = '', fields = [] } = embed.data;
+    const chars = title.length + description.length + fields.reduce((sum, f) => sum + f.name.length + f.value.length, 0);
+    if (current.length > 0 && (currentChars + chars > MESSAGE_EMBED_CHAR_LIMIT || current.length >= MESSAGE_MAX_EMBEDS)) {
+      batches.push(current);
+      current = [];
+      currentChars = 0;
+    }
+    current.push(embed);
+    currentChars += chars;
+  }
+  if (current.length > 0) batches.push(current);
+
+  return batches;
+}
+
+/**
+ * Render a structured summary as Markdown
+ * @param {object|string} summary - Structured summary
+ * @returns {string} - Markdown
+ */
+export function renderSummaryMarkdown(summary) {
+  const { overview, decisions, actionItems, openQuestions, topics, outline } = normalizeSummary(summary);
+  const sections = [`## Overview\n\n${overview}`];
+
+  const list = (heading, items) => {
+    if (items.length > 0) sections.push(`## ${heading}\n\n${items.map(item => `- ${item}`).join('\n')}`);
+  };
+  list('Decisions', decisions);
+  list('Action items', actionItems.map(item => formatActionItem(item, false)));
+  list('Open questions', openQuestions);
+  if (topics.length > 0) sections.push(`## Topics\n\n${topics.join(', ')}`);
+  if (outline.length > 0) {
+    sections.push(`## Outline\n\n${outline.map(section =>
+      [`### ${formatOutlineSection(section)}`, ...section.points.map(point => `- ${point}`)].join('\n')).join('\n\n')}`);
+  }
+
+  return sections.join('\n\n');
+}
@@ -0,0 +1,91 @@
+/**
+ * Transcript exporters. Offsets in the timeline are seconds from the recording
+ * start, which is also where the archived meeting audio starts, so subtitle
+ * files line up with the mixdown.
+ */
+import { formatTimestamp, renderTranscript } from './transcript.js';
+
+export const TRANSCRIPT_FORMATS = ['markdown', 'txt', 'srt', 'vtt'];
+
+const FILE_EXTENSIONS = {
+  markdown: 'md',
+  txt: 'txt',
+  srt: 'srt',
+  vtt: 'vtt',
+};
+
+// hh:mm:ss,mmm (SRT) or hh:mm:ss.mmm (WebVTT)
+function formatCueTime(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor((totalMs % 3600000) / 60000);
+  const s = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms, 3)}`;
+}
+
+function cueEnd(entry) {
+  return entry.end ?? entry.offset + 5;
+}
+
+function renderMarkdown(timeline, { title }) {
+  const lines = [`# ${title}`, ''];
+  let previousSpeaker = null;
+  for (const { offset, speakerId, speaker, text } of timeline) {
+    // A new header every time the floor changes hands
+    if (speakerId !== previousSpeaker) {
+      lines.push('', `### ${speaker} — ${formatTimestamp(offset)}`, '');
+      previousSpeaker = speakerId;
+    }
+    lines.push(text);
+  }
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+function renderSrt(timeline) {
+  return timeline
+    .map((entry, i) => [
+      String(i + 1),
+      `${formatCueTime(entry.offset, ',')} --> ${formatCueTime(cueEnd(entry), ',')}`,
+      `${entry.speaker}: ${entry.text}`,
+    ].join('\n'))
+    .join('\n\n') + '\n';
+}
+
+function renderVtt(timeline, { title }) {
+  const cues = timeline.map(entry => [
+    `${formatCueTime(entry.offset, '.')} --> ${formatCueTime(cueEnd(entry), '.')}`,
+    // <v> voice spans let players show the speaker name; "<", ">" and "&" must be escaped inside cues
+    `<v ${entry.speaker.replace(/[<>&]/g, '')}>${entry.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}`,
+  ].join('\n'));
+  return [`WEBVTT - ${title.replace(/-->/g, '')}`, ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Render a timeline as a transcript file
+ * @param {Array<{offset: number, end?: number, speakerId: string, speaker: string, text: string}>} timeline - Timeline entries
+ * @param {string} format - One of TRANSCRIPT_FORMATS
+ * @param {object} options
+ * @param {string} options.title - Human readable title (used in Markdown and WebVTT headers)
+ * @param {string} options.baseName - File name without extension
+ * @returns {{name: string, content: string}} - File name and contents
+ */
+export function renderTranscriptFile(timeline, format, { title, baseName }) {
+  let content;
+  switch (format) {
+    case 'markdown':
+      content = renderMarkdown(timeline, { title });
+      break;
+    case 'srt':
+      content = renderSrt(timeline);
+      break;
+    case 'vtt':
+      content = renderVtt(timeline, { title });
+      break;
+    default:
+      content = `${renderTranscript(timeline)}\n`;
+      format = 'txt';
+  }
+  return { name: `${baseName}.${FILE_EXTENSIONS[format]}`, content };
+}
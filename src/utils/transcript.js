@@ -0,0 +1,150 @@
+/**
+ * Helpers for building a single, chronologically ordered transcript out of
+ * per-speaker transcriptions.
+ *
+ * Offsets are expressed in seconds relative to the start of the recording
+ * session unless stated otherwise.
+ */
+
+const TIMESTAMP_LINE = /^\s*\[(?:(\d+):)?(\d{1,3}):(\d{2})(?:\.\d+)?\]\s*(.*)$/;
+
+/**
+ * Format an offset in seconds as mm:ss (minutes keep growing past 59)
+ * @param {number} seconds - Offset in seconds
+ * @returns {string} - Formatted timestamp
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const minutes = Math.floor(total / 60);
+  const secs = total % 60;
+  return `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+}
+
+/**
+ * Parse model output made of "[mm:ss] text" lines into segments.
+ * Lines without a timestamp are appended to the previous segment; if the
+ * output has no timestamps at all it becomes a single segment at offset 0.
+ * @param {string} text - Raw transcription text
+ * @returns {Array<{offset: number, text: string}>} - Segments (offset in seconds)
+ */
+export function parseTimestampedText(text) {
+  const segments = [];
+  for (const rawLine of String(text || '').split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const match = line.match(TIMESTAMP_LINE);
+    if (match) {
+      const [, hours, minutes, seconds, rest] = match;
+      const offset = Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds);
+      if (rest.trim()) segments.push({ offset, text: rest.trim() });
+    } else if (segments.length > 0) {
+      segments[segments.length - 1].text += ` ${line}`;
+    } else {
+      segments.push({ offset: 0, text: line });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Merge per-speaker segments into one timeline ordered by meeting offset
+ * @param {Array<{speakerId: string, speaker: string, segments: Array<{offset: number, text: string}>}>} speakers
+ * @returns {Array<{offset: number, speakerId: string, speaker: string, text: string}>} - Timeline entries
+ */
+export function mergeTimeline(speakers) {
+  const timeline = [];
+  for (const { speakerId, speaker, segments } of speakers) {
+    for (const segment of segments) {
+      timeline.push({ offset: segment.offset, speakerId, speaker, text: segment.text });
+    }
+  }
+  // Stable sort keeps each speaker's own ordering for identical offsets
+  return timeline.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Render a timeline as "[mm:ss] Name: text" lines
+ * @param {Array<{offset: number, speaker: string, text: string}>} timeline - Timeline entries
+ * @returns {string} - Transcript
+ */
+export function renderTranscript(timeline) {
+  return timeline
+    .map(({ offset, speaker, text }) => `[${formatTimestamp(offset)}] ${speaker}: ${text}`)
+    .join('\n');
+}
+
+/**
+ * Work out when each timeline entry ends, so it can be used for subtitles.
+ * An entry ends at the speaker's next entry or at the end of the speaking
+ * burst it belongs to, whichever comes first.
+ * @param {Array<{offset: number, speakerId: string}>} timeline - Timeline entries (modified in place)
+ * @param {Map<string, Array<{start: number, end: number|null}>>} burstsBySpeaker - Speaking bursts (ms)
+ * @param {number} [recordingEnd] - Offset where the recording stopped (seconds), for bursts still open
+ * @returns {Array<{offset: number, end: number}>} - The same timeline, with `end` set on every entry
+ */
+export function assignSegmentEnds(timeline, burstsBySpeaker, recordingEnd = Infinity) {
+  const FALLBACK_DURATION = 10; // seconds, when no burst covers the entry
+  const MIN_DURATION = 1;
+
+  const nextBySpeaker = new Map();
+  for (let i = timeline.length - 1; i >= 0; i--) {
+    const entry = timeline[i];
+    const nextStart = nextBySpeaker.get(entry.speakerId) ?? Infinity;
+    nextBySpeaker.set(entry.speakerId, entry.offset);
+
+    // Model timestamps can be slightly early, so allow a little slack before the burst start
+    const bursts = burstsBySpeaker?.get(entry.speakerId) || [];
+    const burst = bursts.find(b => b.start / 1000 <= entry.offset + 0.5 && (b.end === null ? recordingEnd : b.end / 1000) >= entry.offset);
+    const burstEnd = burst ? (burst.end === null ? recordingEnd : burst.end / 1000) : entry.offset + FALLBACK_DURATION;
+
+    const end = Math.min(nextStart, burstEnd, recordingEnd);
+    entry.end = Math.max(end, entry.offset + MIN_DURATION);
+  }
+  return timeline;
+}
+
+/**
+ * Add an entry for every stretch of audio that could not be transcribed, so the hole shows up
+ * in the transcript (and the summary) instead of silently missing
+ * @param {Array<{offset: number, end: number}>} timeline - Timeline with ends set (see assignSegmentEnds)
+ * @param {Array<{speakerId: string, speaker: string, startMs: number, endMs: number}>} gaps - Untranscribed ranges
+ * @returns {Array<{offset: number, end: number, speakerId: string, speaker: string, text: string, gap?: boolean}>} - New timeline
+ */
+export function markTranscriptionGaps(timeline, gaps) {
+  const gapEntries = gaps.map(({ speakerId, speaker, startMs, endMs }) => ({
+    offset: startMs / 1000,
+    end: endMs / 1000,
+    speakerId,
+    speaker,
+    text: `[not transcribed: ${formatTimestamp(startMs / 1000)}–${formatTimestamp(endMs / 1000)}]`,
+    gap: true,
+  }));
+  return [...timeline, ...gapEntries].sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Drop the words at the start of a chunk's text that repeat the end of the previous chunk.
+ * Chunks overlap by a second or so, so the same words are often transcribed twice at the seam.
+ * A single matching word is kept, as it is more likely a genuine repetition ("the", "yes") than an echo.
+ * @param {string} previousText - Last text of the previous chunk
+ * @param {string} text - First text of the next chunk
+ * @param {object} [options]
+ * @param {number} [options.minWords=2] - Shortest repetition to remove
+ * @param {number} [options.maxWords=12] - Longest repetition to look for
+ * @returns {string} - `text` without the repeated words (may be empty)
+ */
+export function removeSeamOverlap(previousText, text, { minWords = 2, maxWords = 12 } = {}) {
+  const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+  const before = String(previousText || '').split(/\s+/).filter(Boolean).map(normalize);
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const after = words.map(normalize);
+
+  for (let count = Math.min(maxWords, before.length, after.length); count >= minWords; count--) {
+    const tail = before.slice(-count);
+    if (tail.every((word, i) => word === after[i]) && tail.some(Boolean)) {
+      return words.slice(count).join(' ');
+    }
+  }
+  return String(text || '').trim();
+}